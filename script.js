@@ -1,61 +1,194 @@
+// 日志：分级输出，默认静默，?debug=1 或 localStorage 中的 debugLog 开启；最近的日志保存在环形缓冲区，用于复制诊断信息 | Logger: leveled output, silent by default and enabled with ?debug=1 or the debugLog localStorage flag; recent entries stay in a ring buffer for copying diagnostics
+const logger = {
+    levels: { debug: 10, info: 20, warn: 30, error: 40 },
+    threshold: Infinity, // 低于该级别的日志不输出到控制台，默认全部静默
+    storageKey: 'debugLog',
+    capacity: 200, // 环形缓冲区大小
+    entries: [],
+    next: 0, // 下一条日志写入的位置
+    startedAt: Date.now(),
+
+    // 读取调试开关并记录未捕获的错误；开关的值可以是 1 或级别名，如 ?debug=warn
+    init() {
+        const flag = new URLSearchParams(window.location.search).get('debug') || this.readStoredFlag();
+        if (flag && flag !== '0') {
+            this.threshold = this.levels[flag] || this.levels.debug;
+        }
+
+        window.addEventListener('error', (event) => {
+            this.error(`(未捕获的错误: ${event.message}) | Uncaught error: ${event.message}`, event.error);
+        });
+        window.addEventListener('unhandledrejection', (event) => {
+            const reason = event.reason instanceof Error ? event.reason.message : String(event.reason);
+            this.error(`(未处理的 Promise 拒绝: ${reason}) | Unhandled promise rejection: ${reason}`, event.reason);
+        });
+    },
+
+    // 隐私模式下 localStorage 可能不可用
+    readStoredFlag() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    enabled() {
+        return this.threshold !== Infinity;
+    },
+
+    // 写入环形缓冲区，开启调试时同时输出到控制台；Error 参数保留调用栈
+    log(level, message, ...details) {
+        const error = details.find((detail) => detail instanceof Error);
+        this.entries[this.next] = {
+            time: Date.now() - this.startedAt,
+            level,
+            message,
+            stack: error ? error.stack : undefined
+        };
+        this.next = (this.next + 1) % this.capacity;
+
+        if (this.levels[level] >= this.threshold) {
+            console[level](message, ...details);
+        }
+    },
+
+    debug(message, ...details) {
+        this.log('debug', message, ...details);
+    },
+
+    info(message, ...details) {
+        this.log('info', message, ...details);
+    },
+
+    warn(message, ...details) {
+        this.log('warn', message, ...details);
+    },
+
+    error(message, ...details) {
+        this.log('error', message, ...details);
+    },
+
+    // 按时间顺序返回缓冲区中的日志
+    recent() {
+        return [...this.entries.slice(this.next), ...this.entries.slice(0, this.next)].filter(Boolean);
+    },
+
+    // 汇总语言、缓存状态和错误，供用户反馈问题时附上；不包含 hash（分享链接里有名字），日志中也不记录名字
+    collectDiagnostics() {
+        const entries = this.recent();
+        const storedLocales = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(i18n.cachePrefix)) continue;
+            const lang = key.slice(i18n.cachePrefix.length);
+            try {
+                const envelope = JSON.parse(localStorage.getItem(key));
+                storedLocales.push({
+                    lang,
+                    hash: envelope.hash,
+                    savedAt: new Date(envelope.savedAt).toISOString(),
+                    status: i18n.checkCacheEnvelope(envelope, lang) || 'valid'
+                });
+            } catch (error) {
+                storedLocales.push({ lang, status: 'unreadable' });
+            }
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            page: window.location.origin + window.location.pathname + window.location.search,
+            userAgent: navigator.userAgent,
+            language: {
+                current: i18n.currentLang,
+                preference: localStorage.getItem('userLangPreference'),
+                browser: navigator.languages ? [...navigator.languages] : [navigator.language],
+                direction: i18n.getDirection()
+            },
+            theme: themes.currentName,
+            scenario: scenarios.currentName,
+            cache: {
+                memory: [...i18n.cache.keys()],
+                preloaded: [...i18n.preloadedLangs],
+                localStorage: storedLocales,
+                serviceWorker: offline.supported() ? Boolean(navigator.serviceWorker.controller) : 'unsupported'
+            },
+            errors: entries.filter((entry) => entry.level === 'warn' || entry.level === 'error'),
+            recent: entries.slice(-50)
+        };
+    }
+};
+
 const i18n = {
     translations: {},
     currentLang: '',
     defaultLang: 'en',
+    pseudoLang: 'pseudo', // 伪本地化语言，由英文生成，用于检查布局
     cache: new Map(), // 内存缓存
+    sources: new Map(), // 语言文件原文及其内容哈希，用于持久化缓存和变更检测
     initialized: false,
-    fallbackChain: new Map(),
+    languages: {}, // languages.json 中的可用语言，语言协商的唯一依据
     preloadedLangs: [], // 已预加载的语言
     loadingPromises: new Map(), // 正在加载的语言承诺，避免重复请求
+    loadRequest: 0, // 语言请求序号，只应用最后一次请求的语言
     criticalKeys: new Set(['pageTitle', 'greeting', 'confirmButton', 'questionTemplate']), // 关键内容键
+    translatableAttrs: new Set(['placeholder', 'alt', 'title', 'aria-label']), // 允许通过 data-i18n-attr 翻译的属性
     loadTimeout: 3000, // 加载超时时间（毫秒）
+    cachePrefix: 'i18n_', // localStorage 缓存键前缀
+    cacheSchema: 2, // 缓存信封格式版本，格式变化时旧缓存自动失效
+    cacheTtl: 30 * 24 * 60 * 60 * 1000, // 缓存有效期：30天
 
-    // 初始化语言
-    async init() {
-        console.info('(开始初始化语言环境) | Starting to initialize the language environment');
-        
-        // 设置语言回退链
-        this.setFallbackChain();
+    // 初始化语言（preferredLang 来自分享链接等显式指定的语言）
+    async init(preferredLang) {
+        logger.info('(开始初始化语言环境) | Starting to initialize the language environment');
+        this.showLoadingIndicator(true);
         
-        // 优先使用用户偏好，其次是浏览器语言，最后是默认语言
-        const userPref = localStorage.getItem('userLangPreference');
-        const browserLang = navigator.language || this.defaultLang;
-        console.info(`(检测到原始浏览器语言: ${browserLang}) | Detected original browser language: ${browserLang}`);
+        // 加载可用语言列表
+        await this.loadLanguageList();
         
-        // 尝试找到可用的语言代码
-        this.currentLang = this.findAvailableLanguage(userPref || browserLang);
-        console.info(`(最终使用的语言: ${this.currentLang}) | Final language to be used: ${this.currentLang}`);
+        // 协商出最终使用的语言
+        this.currentLang = this.negotiateLanguage(this.getRequestedLanguages(preferredLang));
+        logger.info(`(最终使用的语言: ${this.currentLang}) | Final language to be used: ${this.currentLang}`);
         
         try {
             // 首先尝试从localStorage加载缓存
-            const hasCached = this.loadFromLocalStorage(this.currentLang);
-            if (hasCached) {
-                console.info(`(从localStorage加载缓存的语言: ${this.currentLang}) | Loaded cached language from localStorage: ${this.currentLang}`);
+            const cacheStatus = this.loadFromLocalStorage(this.currentLang);
+            if (cacheStatus) {
+                logger.info(`(从localStorage加载缓存的语言: ${this.currentLang}, 状态: ${cacheStatus}) | Loaded cached language from localStorage: ${this.currentLang}, status: ${cacheStatus}`);
                 this.applyCriticalTranslations(); // 先应用关键内容
-                // 后台异步刷新缓存
-                this.refreshTranslationsInBackground(this.currentLang);
+                // 缓存版本与 languages.json 不一致时后台重新验证
+                if (cacheStatus === 'stale') {
+                    this.refreshTranslationsInBackground(this.currentLang);
+                }
             } else {
                 // 设置加载超时
-                const loadPromise = this.loadTranslationsWithTimeout(this.currentLang);
-                await loadPromise;
-                console.info(`(成功加载 ${this.currentLang} 语言文件) | Successfully loaded the ${this.currentLang} language file`);
+                const request = ++this.loadRequest;
+                const translations = await this.loadTranslationsWithTimeout(this.currentLang);
+                // 加载期间已请求其他语言时由那次请求应用
+                if (request === this.loadRequest) {
+                    this.translations = translations;
+                }
+                logger.info(`(成功加载 ${this.currentLang} 语言文件) | Successfully loaded the ${this.currentLang} language file`);
                 // 保存到localStorage
                 this.saveToLocalStorage(this.currentLang);
             }
         } catch (error) {
-            console.warn(`(加载 ${this.currentLang} 语言文件失败，默认加载 ${this.defaultLang}.json) | Failed to load the ${this.currentLang} language file, loading ${this.defaultLang}.json by default`);
+            logger.warn(`(加载 ${this.currentLang} 语言文件失败，默认加载 ${this.defaultLang}.json) | Failed to load the ${this.currentLang} language file, loading ${this.defaultLang}.json by default`);
             try {
-                await this.loadTranslationsWithTimeout(this.defaultLang);
+                this.translations = await this.loadTranslationsWithTimeout(this.defaultLang);
+                this.currentLang = this.defaultLang;
                 this.saveToLocalStorage(this.defaultLang);
             } catch (defaultError) {
-                console.error(`(加载默认语言也失败) | Failed to load default language as well`);
+                logger.error(`(加载默认语言也失败) | Failed to load default language as well`);
                 // 使用硬编码的最小化默认翻译作为最后的回退
                 this.useMinimalFallbackTranslations();
             }
         }
 
+        this.showLoadingIndicator(false);
+        this.applyDocumentLocale();
         this.applyTranslations();
-        console.info('(已应用语言翻译到页面) | Applied language translations to the page');
+        logger.info('(已应用语言翻译到页面) | Applied language translations to the page');
         this.initialized = true;
         
         // 预加载其他常用语言
@@ -64,30 +197,83 @@ const i18n = {
         return this.translations;
     },
 
-    // 设置语言回退链
-    setFallbackChain() {
-        this.fallbackChain.set('zh-CN', ['zh-CN', 'zh']);
-        this.fallbackChain.set('zh-TW', ['zh-TW', 'zh']);
-        this.fallbackChain.set('en-US', ['en-US', 'en']);
-        this.fallbackChain.set('en-GB', ['en-GB', 'en']);
+    // 加载 languages.json
+    async loadLanguageList() {
+        try {
+            // 每次都向服务器确认，保证拿到最新的版本哈希
+            const response = await fetch('languages.json', { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.languages = await response.json();
+            logger.info('(成功获取语言列表) | Successfully retrieved the language list');
+        } catch (error) {
+            logger.error(`(获取语言列表失败: ${error.message}) | Failed to retrieve the language list: ${error.message}`);
+            this.languages = {};
+        }
+        return this.languages;
+    },
+
+    // 按优先级收集请求的语言：显式指定 > ?lang= 参数 > 用户偏好 > 浏览器语言列表
+    getRequestedLanguages(preferredLang) {
+        const urlLang = new URLSearchParams(window.location.search).get('lang');
+        const userPref = localStorage.getItem('userLangPreference');
+        const browserLangs = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+        const requested = [preferredLang, urlLang, userPref, ...browserLangs].filter(Boolean);
+        logger.info(`(请求的语言顺序: ${requested.join(', ')}) | Requested languages in order: ${requested.join(', ')}`);
+        return requested;
     },
 
-    // 查找可用的语言代码
-    findAvailableLanguage(langCode) {
-        // 简单的语言代码处理，如 en-US -> en
-        const baseLang = langCode.split('-')[0];
-        
-        // 检查是否有对应的回退链
-        if (this.fallbackChain.has(langCode)) {
-            return langCode;
+    // 语言协商：依次匹配每个请求的语言，找不到时使用默认语言
+    negotiateLanguage(requested) {
+        for (const tag of requested) {
+            const match = this.matchLanguage(tag);
+            if (match) {
+                return match;
+            }
         }
-        
-        // 检查是否有基础语言的回退链
-        if (this.fallbackChain.has(baseLang)) {
-            return baseLang;
+        return this.defaultLang;
+    },
+
+    // 为单个 BCP 47 标签找到可用语言，如 zh-HK -> zh-TW，fr-CA -> fr
+    matchLanguage(tag) {
+        for (const candidate of this.expandLanguageTag(tag)) {
+            const lower = candidate.toLowerCase();
+            for (const [code, data] of Object.entries(this.languages)) {
+                const aliases = (data.aliases || []).map((alias) => alias.toLowerCase());
+                if (code.toLowerCase() === lower || aliases.includes(lower)) {
+                    return code;
+                }
+            }
         }
-        
-        return langCode;
+        return null;
+    },
+
+    // 展开标签的回退顺序：原标签 -> 逐级去掉子标签，并在基础语言前插入推断出的文字（如 zh-HK -> zh-Hant）
+    expandLanguageTag(tag) {
+        let canonical;
+        try {
+            canonical = Intl.getCanonicalLocales(tag)[0];
+        } catch (error) {
+            logger.warn(`(无效的语言标签: ${tag}) | Invalid language tag: ${tag}`);
+            return [];
+        }
+
+        const subtags = canonical.split('-');
+        const candidates = [];
+        for (let length = subtags.length; length > 1; length--) {
+            candidates.push(subtags.slice(0, length).join('-'));
+        }
+        if (typeof Intl.Locale === 'function') {
+            const { language, script } = new Intl.Locale(canonical).maximize();
+            if (script) {
+                candidates.push(`${language}-${script}`);
+            }
+        }
+        candidates.push(subtags[0]);
+        return [...new Set(candidates)];
     },
 
     // 带超时的语言加载
@@ -102,7 +288,8 @@ const i18n = {
             setTimeout(() => reject(new Error(`加载超时: ${lang}`)), this.loadTimeout);
         });
         
-        const loadPromise = Promise.race([this.loadTranslations(lang), timeoutPromise]);
+        // 只获取不应用，由调用方确认仍是最后请求的语言后再应用
+        const loadPromise = Promise.race([this.fetchTranslations(lang), timeoutPromise]);
         
         // 存储正在加载的Promise
         this.loadingPromises.set(lang, loadPromise);
@@ -117,23 +304,37 @@ const i18n = {
         return loadPromise;
     },
 
-    // 加载语言文件 | 缓存支持
-    async loadTranslations(lang) {
+    // 语言文件地址，带上版本哈希，部署新翻译后地址随之变化，旧的 HTTP 缓存不会再命中
+    getLocaleUrl(lang) {
+        const entry = this.languages[lang];
+        return `i18n/${entry ? entry.file : `${lang}.json`}${entry && entry.hash ? `?v=${entry.hash}` : ''}`;
+    },
+
+    // 获取语言文件（不改变当前翻译），force 为 true 时跳过内存缓存
+    async fetchTranslations(lang, { force = false } = {}) {
         // 检查内存缓存
-        if (this.cache.has(lang)) {
-            console.info(`(从内存缓存加载语言: ${lang}) | Loading language from memory cache: ${lang}`);
-            this.translations = this.cache.get(lang);
-            return;
+        if (!force && this.cache.has(lang)) {
+            logger.info(`(从内存缓存加载语言: ${lang}) | Loading language from memory cache: ${lang}`);
+            return this.cache.get(lang);
         }
 
-        const filePath = `i18n/${lang}.json`;
-        console.info(`(尝试加载语言文件路径: ${filePath}) | Trying to load the language file from path: ${filePath}`);
+        // 伪本地化语言没有文件，由默认语言生成
+        if (lang === this.pseudoLang) {
+            const translations = translator.pseudoLocalize(await this.fetchTranslations(this.defaultLang));
+            this.cache.set(lang, translations);
+            return translations;
+        }
+
+        const entry = this.languages[lang];
+        const publishedHash = entry && entry.hash;
+        const filePath = this.getLocaleUrl(lang);
+        logger.info(`(尝试加载语言文件路径: ${filePath}) | Trying to load the language file from path: ${filePath}`);
         
         try {
             // 优化fetch请求
             const response = await fetch(filePath, {
                 method: 'GET',
-                cache: 'force-cache', // 优先使用缓存
+                cache: publishedHash ? 'force-cache' : 'no-cache', // 有版本号时地址不变内容就不变，可放心使用缓存
                 credentials: 'omit',
                 keepalive: true // 允许请求在页面卸载后继续
             });
@@ -142,28 +343,31 @@ const i18n = {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
-            // 使用流式解析（如果支持）
-            this.translations = await response.json();
+            // 保留原文用于计算哈希和持久化
+            const text = await response.text();
+            const hash = this.hashContent(text);
+            if (publishedHash && hash !== publishedHash) {
+                logger.warn(`(${lang} 内容哈希 ${hash} 与 languages.json 中的 ${publishedHash} 不一致) | Content hash ${hash} of ${lang} does not match ${publishedHash} in languages.json`);
+            }
+            const translations = JSON.parse(text);
             
             // 存入内存缓存
-            this.cache.set(lang, this.translations);
-            console.info(`(成功加载并缓存语言: ${lang}) | Successfully loaded and cached language: ${lang}`);
+            this.cache.set(lang, translations);
+            this.sources.set(lang, { text, hash });
+            logger.info(`(成功加载并缓存语言: ${lang}) | Successfully loaded and cached language: ${lang}`);
+            return translations;
         } catch (error) {
-            console.error(`(解析 ${lang}.json 文件时出错: ${error.message}) | Error parsing the ${lang}.json file: ${error.message}`, error);
+            logger.error(`(解析 ${lang}.json 文件时出错: ${error.message}) | Error parsing the ${lang}.json file: ${error.message}`, error);
+            events.emit('translationLoadFailed', { lang, error: error.message });
             
             // 尝试回退到基础语言
             const baseLang = lang.split('-')[0];
             if (baseLang !== lang) {
-                console.warn(`(尝试回退到基础语言: ${baseLang}) | Trying to fall back to base language: ${baseLang}`);
-                if (this.cache.has(baseLang)) {
-                    this.translations = this.cache.get(baseLang);
-                    return;
-                }
+                logger.warn(`(尝试回退到基础语言: ${baseLang}) | Trying to fall back to base language: ${baseLang}`);
                 try {
-                    await this.loadTranslations(baseLang);
-                    return;
+                    return await this.fetchTranslations(baseLang, { force });
                 } catch (fallbackError) {
-                    console.error(`(回退到基础语言失败: ${baseLang}) | Failed to fall back to base language: ${baseLang}`);
+                    logger.error(`(回退到基础语言失败: ${baseLang}) | Failed to fall back to base language: ${baseLang}`);
                 }
             }
             
@@ -171,56 +375,153 @@ const i18n = {
         }
     },
 
-    // 从localStorage加载缓存
+    // 计算内容哈希（FNV-1a），与 tools/update-locale-hashes.js 保持一致
+    hashContent(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    // 从localStorage加载缓存，返回 'fresh'（与 languages.json 版本一致）、'stale'（可用但需重新验证）或 false
     loadFromLocalStorage(lang) {
+        const cacheKey = `${this.cachePrefix}${lang}`;
         try {
-            const cacheKey = `i18n_${lang}`;
             const cachedData = localStorage.getItem(cacheKey);
+            if (!cachedData) {
+                return false;
+            }
             
-            if (cachedData) {
-                const parsedData = JSON.parse(cachedData);
-                this.translations = parsedData;
-                this.cache.set(lang, parsedData);
-                return true;
+            // 缓存信封：{ schema, lang, hash, savedAt, ttl, content }，元数据与翻译内容分开存放
+            const envelope = JSON.parse(cachedData);
+            const invalidReason = this.checkCacheEnvelope(envelope, lang);
+            if (invalidReason) {
+                logger.warn(`(丢弃无效的 ${lang} 缓存: ${invalidReason}) | Discarding invalid ${lang} cache: ${invalidReason}`);
+                localStorage.removeItem(cacheKey);
+                return false;
             }
+            
+            const translations = JSON.parse(envelope.content);
+            this.translations = translations;
+            this.cache.set(lang, translations);
+            this.sources.set(lang, { text: envelope.content, hash: envelope.hash });
+            
+            const entry = this.languages[lang];
+            return entry && entry.hash === envelope.hash ? 'fresh' : 'stale';
         } catch (error) {
-            console.error(`(从localStorage加载失败: ${error.message}) | Failed to load from localStorage: ${error.message}`);
+            logger.error(`(从localStorage加载失败: ${error.message}) | Failed to load from localStorage: ${error.message}`, error);
+            localStorage.removeItem(cacheKey);
         }
         return false;
     },
 
+    // 校验缓存信封，返回失效原因，有效时返回空字符串
+    checkCacheEnvelope(envelope, lang) {
+        if (!envelope || envelope.schema !== this.cacheSchema || envelope.lang !== lang) {
+            return 'schema';
+        }
+        if (typeof envelope.content !== 'string' || this.hashContent(envelope.content) !== envelope.hash) {
+            return 'integrity';
+        }
+        if (!(Date.now() - envelope.savedAt < envelope.ttl)) {
+            return 'expired';
+        }
+        return '';
+    },
+
     // 保存到localStorage
     saveToLocalStorage(lang) {
-        try {
-            const cacheKey = `i18n_${lang}`;
-            // 设置一个月的过期时间
-            const cacheData = {
-                ...this.translations,
-                __timestamp: Date.now(),
-                __ttl: 30 * 24 * 60 * 60 * 1000 // 30天
-            };
-            localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-        } catch (error) {
-            console.error(`(保存到localStorage失败: ${error.message}) | Failed to save to localStorage: ${error.message}`);
+        const source = this.sources.get(lang);
+        if (!source) {
+            return;
+        }
+        
+        const cacheKey = `${this.cachePrefix}${lang}`;
+        const envelope = JSON.stringify({
+            schema: this.cacheSchema,
+            lang,
+            hash: source.hash,
+            savedAt: Date.now(),
+            ttl: this.cacheTtl,
+            content: source.text
+        });
+        
+        // 存储空间不足时逐个淘汰最旧的其他语言缓存后重试
+        for (;;) {
+            try {
+                localStorage.setItem(cacheKey, envelope);
+                return;
+            } catch (error) {
+                if (!this.isQuotaError(error) || !this.evictOldestCacheEntry(cacheKey)) {
+                    logger.error(`(保存到localStorage失败: ${error.message}) | Failed to save to localStorage: ${error.message}`, error);
+                    return;
+                }
+            }
+        }
+    },
+
+    // 判断是否为存储空间不足错误（不同浏览器的名称和代码不同）
+    isQuotaError(error) {
+        return error instanceof DOMException && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    },
+
+    // 淘汰最早保存的语言缓存，没有可淘汰的缓存时返回 false
+    evictOldestCacheEntry(keepKey) {
+        let oldest = null;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(this.cachePrefix) || key === keepKey) continue;
+            
+            let savedAt = 0;
+            try {
+                savedAt = JSON.parse(localStorage.getItem(key)).savedAt || 0;
+            } catch (error) {
+                // 无法解析的缓存视为最旧
+            }
+            if (!oldest || savedAt < oldest.savedAt) {
+                oldest = { key, savedAt };
+            }
         }
+        
+        if (!oldest) {
+            return false;
+        }
+        localStorage.removeItem(oldest.key);
+        logger.warn(`(存储空间不足，已淘汰缓存: ${oldest.key}) | Storage quota reached, evicted cache: ${oldest.key}`);
+        return true;
     },
 
-    // 后台刷新缓存
+    // 后台重新验证缓存，只有内容真正变化时才重新渲染
     async refreshTranslationsInBackground(lang) {
         try {
             // 延迟执行以避免阻塞主线程
             setTimeout(async () => {
                 try {
-                    await this.loadTranslations(lang);
+                    const previous = this.sources.get(lang);
+                    const translations = await this.fetchTranslations(lang, { force: true });
                     this.saveToLocalStorage(lang);
-                    this.applyTranslations(); // 刷新页面翻译
-                    console.info(`(后台成功刷新 ${lang} 语言缓存) | Successfully refreshed ${lang} language cache in background`);
+                    
+                    const changed = !previous || previous.hash !== this.sources.get(lang).hash;
+                    if (changed && lang === this.currentLang) {
+                        this.translations = translations;
+                        this.applyTranslations(); // 刷新页面翻译
+                        logger.info(`(后台成功刷新 ${lang} 语言缓存) | Successfully refreshed ${lang} language cache in background`);
+                    } else {
+                        logger.info(`(${lang} 语言内容未变化，无需重新渲染) | ${lang} language content unchanged, no re-render needed`);
+                    }
                 } catch (error) {
-                    console.warn(`(后台刷新缓存失败，继续使用旧缓存) | Failed to refresh cache in background, continuing with old cache`);
+                    logger.warn(`(后台刷新缓存失败，继续使用旧缓存) | Failed to refresh cache in background, continuing with old cache`);
                 }
             }, 1000);
         } catch (error) {
-            console.error(`(后台刷新过程出错: ${error.message}) | Error during background refresh: ${error.message}`);
+            logger.error(`(后台刷新过程出错: ${error.message}) | Error during background refresh: ${error.message}`);
         }
     },
 
@@ -236,8 +537,8 @@ const i18n = {
                         if (lang !== this.currentLang && !this.preloadedLangs.includes(lang)) {
                             this.preloadedLangs.push(lang);
                             // 使用低优先级加载
-                            this.loadTranslations(lang).catch(err => {
-                                console.warn(`(预加载 ${lang} 失败: ${err.message}) | Failed to preload ${lang}: ${err.message}`);
+                            this.fetchTranslations(lang).catch(err => {
+                                logger.warn(`(预加载 ${lang} 失败: ${err.message}) | Failed to preload ${lang}: ${err.message}`, err);
                             });
                         }
                     });
@@ -248,21 +549,21 @@ const i18n = {
                     langCodes.forEach(lang => {
                         if (lang !== this.currentLang && !this.preloadedLangs.includes(lang)) {
                             this.preloadedLangs.push(lang);
-                            this.loadTranslations(lang).catch(err => {
-                                console.warn(`(预加载 ${lang} 失败: ${err.message}) | Failed to preload ${lang}: ${err.message}`);
+                            this.fetchTranslations(lang).catch(err => {
+                                logger.warn(`(预加载 ${lang} 失败: ${err.message}) | Failed to preload ${lang}: ${err.message}`, err);
                             });
                         }
                     });
                 }, 2000);
             }
         } catch (error) {
-            console.error(`(预加载语言过程出错: ${error.message}) | Error during language preloading: ${error.message}`);
+            logger.error(`(预加载语言过程出错: ${error.message}) | Error during language preloading: ${error.message}`, error);
         }
     },
 
     // 应用关键翻译（立即显示重要内容）
     applyCriticalTranslations() {
-        console.info('(开始应用关键语言翻译) | Starting to apply critical language translations');
+        logger.info('(开始应用关键语言翻译) | Starting to apply critical language translations');
         
         // 先更新页面标题
         if (this.translations.pageTitle) {
@@ -270,77 +571,178 @@ const i18n = {
         }
         
         // 应用关键内容翻译
-        const elements = document.querySelectorAll('[data-i18n]');
-        elements.forEach((element) => {
-            const key = element.getAttribute('data-i18n');
-            if (this.criticalKeys.has(key) && this.translations[key]) {
-                element.textContent = this.translations[key];
-                console.debug(`(已将关键翻译 ${key} 应用到元素) | Applied critical translation of ${key} to the element`);
-            }
-        });
+        this.translateElements((key) => this.criticalKeys.has(key));
     },
 
     // 应用所有翻译
     applyTranslations() {
-        console.info('(开始应用语言翻译到页面元素) | Starting to apply language translations to page elements');
-        const elements = document.querySelectorAll('[data-i18n]');
+        logger.info('(开始应用语言翻译到页面元素) | Starting to apply language translations to page elements');
+        // 翻译模式下叠加译者的修改
+        this.translations = translator.withEdits(this.currentLang, this.translations);
+        this.translateElements(() => true);
+        logger.info('(已应用语言翻译到页面) | Applied language translations to the page');
+        // 带名字等数据的文字不在 data-i18n 中，由监听者重新渲染
+        events.emit('translationsApplied', { lang: this.currentLang });
+    },
+
+    // 翻译带有 data-i18n / data-i18n-attr 的元素，filter 决定哪些键需要应用
+    translateElements(filter) {
+        const elements = document.querySelectorAll('[data-i18n], [data-i18n-attr]');
         
         elements.forEach((element) => {
+            // 文本内容
             const key = element.getAttribute('data-i18n');
-            const translation = this.translations[key];
+            if (key && filter(key)) {
+                const message = this.resolve(key);
+                if (typeof message === 'string') {
+                    this.setText(element, this.template(message));
+                    logger.debug(`(已将 ${key} 翻译应用到元素) | Applied the translation of ${key} to the element`);
+                }
+            }
             
-            if (translation) {
-                // 直接更新元素的textContent
-                element.textContent = translation;
-                console.debug(`(已将 ${key} 翻译应用到元素) | Applied the translation of ${key} to the element`);
+            // 属性，如 data-i18n-attr="placeholder:usernamePlaceholder; title:greeting"
+            const mapping = element.getAttribute('data-i18n-attr');
+            if (mapping) {
+                this.parseAttrMapping(mapping).forEach(([attr, attrKey]) => {
+                    const message = this.resolve(attrKey);
+                    if (filter(attrKey) && typeof message === 'string') {
+                        element.setAttribute(attr, this.template(message));
+                        logger.debug(`(已将 ${attrKey} 翻译应用到属性 ${attr}) | Applied the translation of ${attrKey} to the ${attr} attribute`);
+                    }
+                });
             }
         });
-        
-        console.info('(已应用语言翻译到页面) | Applied language translations to the page');
+    },
+
+    // 解析 data-i18n-attr，只允许翻译安全的文本属性
+    parseAttrMapping(mapping) {
+        return mapping.split(';')
+            .map((pair) => pair.split(':').map((part) => part.trim()))
+            .filter(([attr, key]) => {
+                if (!key || !this.translatableAttrs.has(attr)) {
+                    logger.warn(`(忽略无效的属性翻译: ${attr}) | Ignored invalid attribute translation: ${attr}`);
+                    return false;
+                }
+                return true;
+            });
+    },
+
+    // 安全地渲染多行文本：换行符转为 <br>，其余内容一律作为纯文本插入
+    setText(element, text) {
+        if (!text.includes('\n') || element.tagName === 'TITLE') {
+            element.textContent = text;
+            return;
+        }
+        element.textContent = '';
+        text.split('\n').forEach((line, index) => {
+            if (index > 0) {
+                element.appendChild(document.createElement('br'));
+            }
+            element.appendChild(document.createTextNode(line));
+        });
+    },
+
+    // 按点分路径查找翻译，支持嵌套对象和数组下标（如 noTexts.0），默认在当前语言中查找；只查自有键，toString 等原型属性不算翻译
+    resolve(key, translations = this.translations) {
+        if (Object.hasOwn(translations, key)) {
+            return translations[key];
+        }
+        return key.split('.').reduce(
+            (value, part) => (value !== undefined && value !== null && Object.hasOwn(value, part) ? value[part] : undefined),
+            translations
+        );
     },
 
     // 切换语言 | 优化版
     async switchLanguage(lang) {
-        console.info(`(开始切换语言到 ${lang}) | Starting to switch the language to ${lang}`);
+        logger.info(`(开始切换语言到 ${lang}) | Starting to switch the language to ${lang}`);
+        // 新的请求使之前未完成的切换失效，如 A -> B -> A 时 B 加载完成后不会再应用
+        const request = ++this.loadRequest;
         
         // 避免频繁切换
         if (lang === this.currentLang && this.initialized) {
-            console.info(`(语言已为 ${lang}，无需切换) | Language is already ${lang}, no need to switch`);
+            logger.info(`(语言已为 ${lang}，无需切换) | Language is already ${lang}, no need to switch`);
             return;
         }
         
-        this.currentLang = lang;
-        localStorage.setItem('userLangPreference', lang);
+        const previousLang = this.currentLang;
         
         // 显示加载指示器（如果有）
         this.showLoadingIndicator(true);
         
         try {
-            await this.loadTranslationsWithTimeout(lang);
+            const translations = await this.loadTranslationsWithTimeout(lang);
+            if (request !== this.loadRequest) {
+                logger.info(`(切换到 ${lang} 的请求已被新的选择取代) | The switch to ${lang} was superseded by a newer choice`);
+                return;
+            }
+            // 加载成功后才切换当前语言并记住选择，失败或超时时保持原来的语言
+            this.translations = translations;
+            this.currentLang = lang;
+            if (lang !== this.pseudoLang) {
+                localStorage.setItem('userLangPreference', lang);
+            }
             this.saveToLocalStorage(lang);
+            this.applyDocumentLocale();
             this.applyTranslations();
-            console.info(`(已成功切换语言到 ${lang}) | Successfully switched the language to ${lang}`);
+            // 让 Service Worker 缓存新选择的语言，离线时也能使用
+            offline.cacheLocale(lang);
+            logger.info(`(已成功切换语言到 ${lang}) | Successfully switched the language to ${lang}`);
+            events.emit('languageChanged', { lang, previous: previousLang });
+        } catch (error) {
+            // 已被新的选择取代时失败不影响当前语言和选择器
+            if (request !== this.loadRequest) return;
+            logger.warn(`(切换到 ${lang} 失败，继续使用 ${previousLang}: ${error.message}) | Failed to switch to ${lang}, keeping ${previousLang}: ${error.message}`, error);
+            throw error;
         } finally {
             // 隐藏加载指示器
             this.showLoadingIndicator(false);
         }
     },
 
+    // 当前语言的书写方向
+    getDirection() {
+        const entry = this.languages[this.currentLang];
+        return entry && entry.dir === 'rtl' ? 'rtl' : 'ltr';
+    },
+
+    // 把当前语言的 lang、dir 和字体提示应用到 <html>
+    applyDocumentLocale() {
+        const root = document.documentElement;
+        const entry = this.languages[this.currentLang] || {};
+        root.setAttribute('lang', this.currentLang);
+        root.setAttribute('data-lang', this.currentLang);
+        root.setAttribute('dir', this.getDirection());
+
+        // 泰语、阿拉伯语等需要特定字体才能正确显示
+        if (entry.fontStack) {
+            root.style.setProperty('--font-stack', entry.fontStack);
+        } else {
+            root.style.removeProperty('--font-stack');
+        }
+        logger.info(`(已设置文档语言: ${this.currentLang}, 方向: ${this.getDirection()}) | Set document language: ${this.currentLang}, direction: ${this.getDirection()}`);
+    },
+
     // 显示/隐藏加载指示器
     showLoadingIndicator(show) {
-        // 可以根据实际项目添加加载指示器的实现
-        console.debug(`(显示加载指示器: ${show}) | Show loading indicator: ${show}`);
+        logger.debug(`(显示加载指示器: ${show}) | Show loading indicator: ${show}`);
+        if (show) {
+            loader.start('translations');
+        } else {
+            loader.finish('translations');
+        }
     },
 
     // 使用最小化的回退翻译（当所有加载都失败时）
     useMinimalFallbackTranslations() {
-        console.warn('(使用最小化回退翻译) | Using minimal fallback translations');
+        logger.warn('(使用最小化回退翻译) | Using minimal fallback translations');
         this.translations = {
             pageTitle: 'Will you be my sweetheart?',
             greeting: 'What should I call you?',
             confirmButton: 'Confirm',
             questionTemplate: '{username}? Will you be my love?',
             loveMessage: 'I love you! {username}',
+            noCountSummary: '{count, plural, =0 {You said Yes right away!} one {You said No once first.} other {You said No # times first.}}',
             yesButton: 'Yes!',
             noButton: 'No...',
             noTexts: [
@@ -353,10 +755,8 @@ const i18n = {
         };
     },
 
-    // 优化的模板替换函数
-    template(str, data) {
-        console.debug('(开始执行模板替换操作) | Starting the template replacement operation');
-        
+    // 优化的模板替换函数，支持 {name} 以及 ICU 风格的 plural / select 消息
+    template(str, data = {}) {
         // 性能优化：使用函数缓存
         if (!this.templateCache) {
             this.templateCache = new Map();
@@ -365,161 +765,2649 @@ const i18n = {
         // 检查是否有编译过的模板
         let compiledTemplate = this.templateCache.get(str);
         if (!compiledTemplate) {
-            // 编译模板
-            compiledTemplate = (data) => {
-                return str.replace(/\{([^{}]+)\}/g, (match, key) => {
-                    const value = data[key] || '';
-                    console.debug(`(替换模板中的 ${key} 为: ${value}) | Replaced ${key} in the template with: ${value}`);
-                    return value;
-                });
-            };
+            compiledTemplate = this.compileMessage(str);
             this.templateCache.set(str, compiledTemplate);
         }
         
         return compiledTemplate(data);
     },
 
-    // 添加获取翻译的快捷方法
+    // 编译消息为函数，语法错误时退回到简单的 {name} 替换
+    compileMessage(str) {
+        try {
+            const nodes = this.parseMessage(str);
+            return (data) => this.formatNodes(nodes, data, 0);
+        } catch (error) {
+            logger.warn(`(消息语法错误，使用简单替换: ${error.message}) | Message syntax error, using simple replacement: ${error.message}`);
+            return (data) => str.replace(/\{([^{}]+)\}/g, (match, key) => {
+                const value = Object.hasOwn(data, key) ? data[key] : undefined;
+                return value === undefined || value === null ? '' : String(value);
+            });
+        }
+    },
+
+    // 解析 ICU 消息，返回由字符串和参数节点组成的数组
+    // 支持 {name}、{count, plural, offset:1 =0 {...} one {...} other {# ...}}、{gender, select, male {...} other {...}}
+    parseMessage(str) {
+        let pos = 0;
+        
+        const skipSpaces = () => {
+            while (pos < str.length && /\s/.test(str[pos])) pos++;
+        };
+        const readWord = () => {
+            skipSpaces();
+            const match = /^[^\s,{}]+/.exec(str.slice(pos));
+            if (!match) {
+                throw new SyntaxError(`expected a name at ${pos}`);
+            }
+            pos += match[0].length;
+            return match[0];
+        };
+        const expect = (char) => {
+            skipSpaces();
+            if (str[pos] !== char) {
+                throw new SyntaxError(`expected "${char}" at ${pos}`);
+            }
+            pos++;
+        };
+        
+        const parseNodes = (inPlural, nested) => {
+            const nodes = [];
+            let text = '';
+            const flush = () => {
+                if (text) nodes.push(text);
+                text = '';
+            };
+            while (pos < str.length) {
+                const char = str[pos];
+                if (char === '{') {
+                    flush();
+                    pos++;
+                    nodes.push(parseArgument(inPlural));
+                } else if (char === '}') {
+                    if (nested) break;
+                    throw new SyntaxError(`unexpected "}" at ${pos}`);
+                } else if (char === '#' && inPlural) {
+                    flush();
+                    nodes.push({ type: 'pound' });
+                    pos++;
+                } else {
+                    text += char;
+                    pos++;
+                }
+            }
+            flush();
+            return nodes;
+        };
+        
+        const parseArgument = (inPlural) => {
+            const name = readWord();
+            skipSpaces();
+            if (str[pos] === '}') {
+                pos++;
+                return { type: 'arg', name };
+            }
+            expect(',');
+            const type = readWord();
+            if (type !== 'plural' && type !== 'select') {
+                throw new SyntaxError(`unsupported argument type "${type}"`);
+            }
+            expect(',');
+            
+            const options = {};
+            let offset = 0;
+            skipSpaces();
+            while (str[pos] !== '}') {
+                if (pos >= str.length) {
+                    throw new SyntaxError(`unterminated ${type} for "${name}"`);
+                }
+                const selector = readWord();
+                if (type === 'plural' && selector.startsWith('offset:')) {
+                    offset = Number(selector.slice('offset:'.length)) || 0;
+                } else {
+                    expect('{');
+                    options[selector] = parseNodes(type === 'plural' || inPlural, true);
+                    expect('}');
+                }
+                skipSpaces();
+            }
+            pos++;
+            if (!options.other) {
+                throw new SyntaxError(`${type} for "${name}" needs an "other" option`);
+            }
+            return { type, name, offset, options };
+        };
+        
+        return parseNodes(false, false);
+    },
+
+    // 根据数据渲染解析后的消息节点；参数和分支只按自有键查找，值为 toString、constructor 时也会落到 other 分支
+    formatNodes(nodes, data, pluralValue) {
+        const own = (object, key) => (Object.hasOwn(object, key) ? object[key] : undefined);
+        return nodes.map((node) => {
+            if (typeof node === 'string') {
+                return node;
+            }
+            if (node.type === 'pound') {
+                return new Intl.NumberFormat(this.currentLang || this.defaultLang).format(pluralValue);
+            }
+            
+            const value = own(data, node.name);
+            if (node.type === 'arg') {
+                return value === undefined || value === null ? '' : String(value);
+            }
+            if (node.type === 'plural') {
+                const number = Number(value) || 0;
+                const category = this.getPluralRules().select(number - node.offset);
+                const branch = own(node.options, `=${number}`) || own(node.options, category) || node.options.other;
+                return this.formatNodes(branch, data, number - node.offset);
+            }
+            // select
+            const branch = own(node.options, String(value)) || node.options.other;
+            return this.formatNodes(branch, data, pluralValue);
+        }).join('');
+    },
+
+    // 当前语言的复数规则（按语言缓存）
+    getPluralRules() {
+        if (!this.pluralRules) {
+            this.pluralRules = new Map();
+        }
+        const lang = this.currentLang || this.defaultLang;
+        if (!this.pluralRules.has(lang)) {
+            this.pluralRules.set(lang, new Intl.PluralRules(lang));
+        }
+        return this.pluralRules.get(lang);
+    },
+
+    // 添加获取翻译的快捷方法，支持嵌套键
     t(key, data = {}) {
-        const translation = this.translations[key];
-        if (!translation) {
-            console.warn(`(未找到翻译键: ${key}) | Translation key not found: ${key}`);
+        const translation = this.resolve(key);
+        if (typeof translation !== 'string') {
+            logger.warn(`(未找到翻译键: ${key}) | Translation key not found: ${key}`);
             return key; // 返回键本身作为回退
         }
         
-        // 如果有数据，则进行模板替换
-        return Object.keys(data).length > 0 ? this.template(translation, data) : translation;
+        return this.template(translation, data);
     }
 };
 
-// 初始化语言选择器 | Initialize the language selector
-async function initLanguageSwitcher() {
-    console.info('(开始初始化语言选择器) | Starting to initialize the language selector');
-    const select = document.getElementById('languageSelect');
-    const response = await fetch('languages.json');
-    const languages = await response.json();
-    console.info('(成功获取语言列表) | Successfully retrieved the language list');
-    const userPref = localStorage.getItem('userLangPreference');
-    const browserLang = navigator.language || 'en';
-    const defaultLang = browserLang || userPref;
-
-    for (const [code, data] of Object.entries(languages)) {
-        const option = new Option(data.label, code);
-        option.selected = code === defaultLang;
-        select.appendChild(option);
-        console.debug(`(已添加语言选项: ${code} - ${data.label}) | Added language option: ${code} - ${data.label}`);
-    }
+// 翻译工具：?translate=1 开启页面内编辑，修改保存在 localStorage 并可导出为完整的语言文件；伪本地化语言用于检查布局溢出 | Translator tools: ?translate=1 enables in-page editing, edits are kept in localStorage and can be exported as a full locale file; the pseudo-locale exposes layout overflow
+const translator = {
+    storagePrefix: 'translatorEdits_', // 不能用 i18n_ 前缀，否则会被当作语言缓存淘汰
+    requiredPlaceholders: { questionTemplate: ['username'], loveMessage: ['username'] }, // 与 tools/check-i18n.js 保持一致
+    optionalPlaceholders: { questionTemplate: ['sender'], loveMessage: ['sender'] }, // 可以使用但不强制，同上
+    pseudoLabel: '[Ƥšéûðö]',
+    pseudoExpansion: 0.4, // 伪本地化文本加长的比例
+    plainLetters: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    accentedLetters: Array.from('åƀçðéƒĝĥîĵķļɱñöþǫŕšţûṽŵẋýžÅƁÇÐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽ'),
 
-    select.addEventListener('change', async (e) => {
-        const langCode = e.target.value;
-        console.info(`(用户选择了语言: ${langCode}) | User selected the language: ${langCode}`);
-        await i18n.switchLanguage(langCode);
-    });
-    console.info('(语言选择器初始化完成) | Language selector initialization completed');
-}
+    enabled() {
+        return new URLSearchParams(window.location.search).get('translate') === '1';
+    },
 
-// 页面加载完成后执行初始化操作 | Perform initialization operations after the page is loaded
-document.addEventListener('DOMContentLoaded', async () => {
-    console.info('(页面加载完成，开始初始化操作) | Page loaded, starting initialization operations');
-    // 初始化语言环境
-    await i18n.init();
-    // 初始化语言选择器
-    await initLanguageSwitcher();
+    // 读取某个语言的修改，键为点分路径（如 noTexts.0）
+    getEdits(lang) {
+        try {
+            return JSON.parse(localStorage.getItem(`${this.storagePrefix}${lang}`)) || {};
+        } catch (error) {
+            logger.warn(`(读取 ${lang} 的翻译修改失败: ${error.message}) | Failed to read the translation edits of ${lang}: ${error.message}`, error);
+            return {};
+        }
+    },
 
-    // 获取元素引用 | Get elements
-    const elements = {
-        nameInput: document.getElementById('usernameInput'),
-        confirmButton: document.getElementById('confirmNameButton'),
-        questionText: document.getElementById('question'),
-        yesButton: document.getElementById('yes'),
-        noButton: document.getElementById('no'),
-        nameInputContainer: document.getElementById('nameInputContainer'),
-        confessionContainer: document.getElementById('confessionContainer'),
-        mainImage: document.getElementById('mainImage')
-    };
-    console.info('(已获取页面元素引用) | Successfully obtained references to page elements', elements);
+    saveEdits(lang, edits) {
+        const key = `${this.storagePrefix}${lang}`;
+        if (Object.keys(edits).length) {
+            localStorage.setItem(key, JSON.stringify(edits));
+        } else {
+            localStorage.removeItem(key);
+        }
+    },
 
-    // 显示输入容器 | Show input container
-    elements.nameInputContainer.style.display = 'block';
-    console.info('(已显示姓名输入容器) | Displayed the name input container');
+    setEdit(lang, key, text) {
+        const edits = this.getEdits(lang);
+        edits[key] = text;
+        this.saveEdits(lang, edits);
+    },
 
-    // 确认按钮事件  | Event of button
-    elements.confirmButton.addEventListener('click', () => {
-        console.info('(用户点击了确认按钮) | User clicked the confirm button');
-        const username = elements.nameInput.value.substring(0, 20);
-        elements.questionText.innerHTML = i18n.template(
-            i18n.translations.questionTemplate,
-            { username: username || '' }
-        );
-        console.info(`(已将用户名 ${username} 插入到表白问题中) | Inserted the username ${username} into the confession question`);
-        elements.nameInputContainer.style.display = 'none';
-        elements.confessionContainer.style.display = 'block';
-        console.info('(隐藏姓名输入容器，显示表白内容容器) | Hidden the name input container and displayed the confession content container');
-        // 给按钮容器添加动画类名 | Add animation class name to the button container
-        elements.confessionContainer.querySelector('.buttons').classList.add('slide-up-fade-in');
-        console.info('(已为按钮容器添加动画效果) | Added animation effect to the button container');
-    });
+    removeEdit(lang, key) {
+        const edits = this.getEdits(lang);
+        delete edits[key];
+        this.saveEdits(lang, edits);
+    },
 
-    let clickCount = 0; // 记录点击 No 的次数 | Record the number of clicks on the No button
-    // No 按钮点击事件 | No button click event
-    elements.noButton.addEventListener('click', function () {
-        clickCount++;
-        console.info(`(用户点击了 No 按钮，点击次数: ${clickCount}) | User clicked the No button, click count: ${clickCount}`);
-        // 让 Yes 变大，每次放大 2 倍 | Make Yes button bigger, double the size each time
-        let yesSize = 1 + clickCount * 1.2;
-        elements.yesButton.style.transform = `scale(${yesSize})`;
-        console.info(`(将 Yes 按钮放大到 ${yesSize} 倍) | Scaled the Yes button to ${yesSize} times`);
-        // 挤压 No 按钮，每次右移 50px | Squeeze the No button and move it 50px to the right each time
-        let noOffset = clickCount * 50;
-        elements.noButton.style.transform = `translateX(${noOffset}px)`;
-        console.info(`(将 No 按钮右移 ${noOffset}px) | Moved the No button ${noOffset}px to the right`);
-        // 让图片和文字往上移动 | Move the image and text up
-        let moveUp = clickCount * 25;
-        elements.mainImage.style.transform = `translateY(-${moveUp}px)`;
-        elements.questionText.style.transform = `translateY(-${moveUp}px)`;
-        console.info(`(将图片和文字上移 ${moveUp}px) | Moved the image and text up by ${moveUp}px`);
-        // 更新 No 按钮文字（前 5 次） | Update the text of the No button (first 5 times)
-        if (i18n.translations.noTexts && clickCount <= i18n.translations.noTexts.length) {
-            elements.noButton.innerText = i18n.translations.noTexts[clickCount - 1];
-            console.info(`(更新 No 按钮文字为: ${elements.noButton.innerText}) | Updated the text of the No button to: ${elements.noButton.innerText}`);
-        }
-        // 使用映射更新图片 | Update the image using the mapping
-        const imageMap = {
-            1: "assets/images/shocked.webp",  // 震惊
-            2: "assets/images/think.webp",    // 思考
-            3: "assets/images/angry.webp",    // 生气
-            4: "assets/images/crying.webp",   // 哭
-        };
-        if (clickCount in imageMap) {
-            elements.mainImage.src = imageMap[clickCount];
-            console.info(`(将主图片更新为: ${imageMap[clickCount]}) | Updated the main image to: ${imageMap[clickCount]}`);
-        } else if (clickCount >= 5) {
-            elements.mainImage.src = "assets/images/crying.webp";
-            console.info('(将主图片更新为哭泣图片) | Updated the main image to the crying image');
+    // 在原始翻译的副本上应用修改，未开启翻译模式时原样返回
+    withEdits(lang, translations) {
+        if (!this.enabled()) {
+            return translations;
+        }
+        const base = i18n.cache.get(lang) || translations;
+        const edits = Object.entries(this.getEdits(lang));
+        if (!edits.length) {
+            return base;
         }
-    });
 
-    // Yes 按钮点击事件，进入表白成功页面 | Yes button click event, enter the successful confession page
-    const loveTest = (username) => i18n.template(i18n.translations.loveMessage, { username: username });
-    elements.yesButton.addEventListener('click', function () {
-        console.info('(用户点击了 Yes 按钮) | User clicked the Yes button');
-        const username = elements.nameInput.value.substring(0, 20);
-        // 确保用户名安全地插入 | Ensure the username is inserted safely
-        document.body.innerHTML = `
-            <div class="yes-screen">
-                <h1 class="yes-text"></h1>
-                <img src="assets/images/hug.webp" alt="Hug" class="yes-image">
-            </div>
-        `;
-        console.info('(已替换页面内容为表白成功页面) | Replaced the page content with the successful confession page');
-        // 确保用户名安全地插入
-        document.querySelector(".yes-text").innerText = loveTest(username);
-        console.info(`(已将用户名 ${username} 插入到表白成功信息中) | Inserted the username ${username} into the successful confession message`);
-        // 禁止滚动，保持页面美观 | Disable scrolling to keep the page beautiful
-        document.body.style.overflow = "hidden";
-        console.info('(已禁止页面滚动) | Disabled page scrolling');
-        // 给表白成功页面添加慢慢浮现动画类名 | Add a fade-in animation class name to the successful confession page
-        document.querySelector('.yes-screen').classList.add('fade-in');
-        console.info('(已为表白成功页面添加渐显动画效果) | Added fade-in animation effect to the successful confession page');
-    });
+        const merged = structuredClone(base);
+        for (const [key, text] of edits) {
+            const parts = key.split('.');
+            const last = parts.pop();
+            const parent = parts.reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), merged);
+            if (parent && typeof parent === 'object' && typeof parent[last] === 'string') {
+                parent[last] = text;
+            } else {
+                logger.warn(`(忽略不存在的翻译键: ${key}) | Ignored the edit of a missing translation key: ${key}`);
+            }
+        }
+        return merged;
+    },
+
+    // 校验修改后的文本：语法正确，占位符与英文参照一致，返回错误提示的键和参数，没有问题时返回 null
+    validate(key, text) {
+        if (!text.trim()) {
+            return { key: 'translator.empty' };
+        }
+        let names;
+        try {
+            names = this.collectArguments(i18n.parseMessage(text));
+        } catch (error) {
+            return { key: 'translator.syntaxError', data: { error: error.message } };
+        }
+
+        const reference = i18n.resolve(key, i18n.cache.get(i18n.defaultLang) || {});
+        const expected = new Set(this.requiredPlaceholders[key] || []);
+        if (typeof reference === 'string') {
+            try {
+                this.collectArguments(i18n.parseMessage(reference)).forEach((name) => expected.add(name));
+            } catch (error) {
+                // 参照文本的语法错误由 tools/check-i18n.js 报告
+            }
+        }
+
+        const optional = new Set(this.optionalPlaceholders[key] || []);
+        const missing = [...expected].find((name) => !names.has(name) && !optional.has(name));
+        if (missing) {
+            return { key: 'translator.missingPlaceholder', data: { name: `{${missing}}` } };
+        }
+        const unknown = [...names].find((name) => !expected.has(name) && !optional.has(name));
+        if (unknown) {
+            return { key: 'translator.unknownPlaceholder', data: { name: `{${unknown}}` } };
+        }
+        return null;
+    },
+
+    // 收集消息节点中的参数名，包括 plural / select 分支中的参数
+    collectArguments(nodes, names = new Set()) {
+        for (const node of nodes) {
+            if (typeof node === 'string' || node.type === 'pound') continue;
+            names.add(node.name);
+            if (node.options) {
+                Object.values(node.options).forEach((branch) => this.collectArguments(branch, names));
+            }
+        }
+        return names;
+    },
+
+    // 把当前语言（含修改）导出为语言文件
+    exportLocale(lang) {
+        const translations = this.withEdits(lang, i18n.cache.get(lang) || i18n.translations);
+        const entry = i18n.languages[lang];
+        const fileName = entry ? entry.file : `${lang}.json`;
+        downloadBlob(new Blob([`${JSON.stringify(translations, null, 2)}\n`], { type: 'application/json' }), fileName);
+        logger.info(`(已导出语言文件: ${fileName}) | Exported the locale file: ${fileName}`);
+        return fileName;
+    },
+
+    // 生成伪本地化翻译：字母替换为带重音的形式，文本加长约 40%，占位符和 ICU 语法保持不变
+    pseudoLocalize(value) {
+        if (typeof value === 'string') {
+            return this.pseudoMessage(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => this.pseudoLocalize(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, this.pseudoLocalize(child)]));
+        }
+        return value;
+    },
+
+    pseudoMessage(message) {
+        let nodes;
+        try {
+            nodes = i18n.parseMessage(message);
+        } catch (error) {
+            return `[${message}]`;
+        }
+        let length = 0;
+        const accent = (text) => {
+            length += text.length;
+            return Array.from(text, (char) => {
+                const index = this.plainLetters.indexOf(char);
+                return index === -1 ? char : this.accentedLetters[index];
+            }).join('');
+        };
+        const serialize = (list) => list.map((node) => {
+            if (typeof node === 'string') return accent(node);
+            if (node.type === 'pound') return '#';
+            if (node.type === 'arg') return `{${node.name}}`;
+            const offset = node.offset ? ` offset:${node.offset}` : '';
+            const options = Object.entries(node.options).map(([selector, branch]) => `${selector} {${serialize(branch)}}`);
+            return `{${node.name}, ${node.type},${offset} ${options.join(' ')}}`;
+        }).join('');
+
+        const text = serialize(nodes);
+        // 每 5 个填充字符之间留一个空格，加长的文本仍然可以换行
+        const padding = '·'.repeat(Math.ceil(length * this.pseudoExpansion)).replace(/(.{5})(?=.)/g, '$1 ');
+        return `[${text}${padding ? ` ${padding}` : ''}]`;
+    }
+};
+
+// 清单（scenarios.json、themes.json）把名称映射到 { file }，label 用于日志，如 { zh: '剧本', en: 'scenario' } | Catalogs such as scenarios.json and themes.json map names to { file }; label names the kind in logs
+async function loadCatalog(url, label) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        logger.warn(`(加载${label.zh}清单失败: ${error.message}) | Failed to load the ${label.en} list: ${error.message}`);
+        return {};
+    }
+}
+
+// 只接受清单自身的键，如 constructor 等原型属性不算 | Only the catalog's own keys count, not prototype properties such as constructor
+function findCatalogEntry(catalog, name) {
+    return typeof name === 'string' && Object.hasOwn(catalog, name) ? catalog[name] : null;
+}
+
+// 加载清单项对应的 JSON 文件 | Load the JSON file of a catalog entry
+async function loadCatalogEntry(catalog, name, directory, label) {
+    const entry = findCatalogEntry(catalog, name);
+    if (!entry) {
+        throw new Error(`(未知的${label.zh}: ${name}) | Unknown ${label.en}: ${name}`);
+    }
+    const response = await fetch(`${directory}/${entry.file}`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+// 反应剧本：No 按钮每一阶段的图片、文字和按钮变化 | Reaction scenarios: image, text and button changes for each No stage
+const scenarios = {
+    list: {}, // scenarios.json 中的剧本清单
+    current: null, // 当前使用的剧本
+    currentName: '',
+    defaultName: 'classic',
+    label: { zh: '剧本', en: 'scenario' },
+    exhaustedModes: new Set(['loop', 'clamp', 'forceYes']), // 阶段用完后的处理方式
+
+    // 加载剧本清单和指定剧本，失败时使用内置的经典剧本
+    async init(preferredName) {
+        logger.info('(开始初始化反应剧本) | Starting to initialize reaction scenarios');
+        this.list = await loadCatalog('scenarios.json', this.label);
+
+        const name = findCatalogEntry(this.list, preferredName) ? preferredName : this.defaultName;
+        try {
+            await this.load(name);
+        } catch (error) {
+            logger.warn(`(加载剧本 ${name} 失败，使用内置剧本) | Failed to load scenario ${name}, using the built-in scenario`);
+            this.useBuiltInScenario();
+        }
+        return this.current;
+    },
+
+    // 加载剧本文件
+    async load(name) {
+        const scenario = await loadCatalogEntry(this.list, name, 'scenarios', this.label);
+        this.validate(scenario);
+
+        this.current = scenario;
+        this.currentName = name;
+        logger.info(`(成功加载剧本: ${name}) | Successfully loaded scenario: ${name}`);
+        return scenario;
+    },
+
+    // 校验剧本结构
+    validate(scenario) {
+        if (!scenario || !Array.isArray(scenario.stages) || !scenario.stages.length) {
+            throw new Error('(剧本缺少阶段) | Scenario has no stages');
+        }
+        if (!this.exhaustedModes.has(scenario.exhausted)) {
+            throw new Error(`(未知的结束方式: ${scenario.exhausted}) | Unknown exhausted mode: ${scenario.exhausted}`);
+        }
+        scenario.stages.forEach((stage, index) => {
+            if (typeof stage.image !== 'string' || !Number.isInteger(stage.noText)) {
+                throw new Error(`(剧本第 ${index + 1} 阶段不完整) | Scenario stage ${index + 1} is incomplete`);
+            }
+        });
+    },
+
+    // 根据点击次数找到对应阶段，返回 { stage, index } 或 { forceYes: true }
+    resolve(clickCount) {
+        const stages = this.current.stages;
+        let index = clickCount - 1;
+
+        if (index >= stages.length) {
+            switch (this.current.exhausted) {
+                case 'loop':
+                    index %= stages.length;
+                    break;
+                case 'forceYes':
+                    return { forceYes: true };
+                default:
+                    index = stages.length - 1;
+            }
+        }
+        return { stage: stages[index], index };
+    },
+
+    // 使用内置的经典剧本（剧本文件无法加载时）
+    useBuiltInScenario() {
+        this.currentName = this.defaultName;
+        this.current = {
+            exhausted: 'clamp',
+            stages: [
+                'shocked',
+                'think',
+                'angry',
+                'crying',
+                'crying'
+            ].map((image, index) => ({
+                image: `assets/images/${image}.webp`,
+                noText: index,
+                yes: { scale: 1 + (index + 1) * 1.2 },
+                no: { offsetX: (index + 1) * 50 },
+                content: { offsetY: -(index + 1) * 25 }
+            }))
+        };
+    }
+};
+
+// 主题：themes/*.json 中的颜色写入 CSS 自定义属性，系统为深色模式时使用 dark 配色 | Themes: colors from themes/*.json become CSS custom properties, the dark palette is used when the system prefers dark mode
+const themes = {
+    list: {}, // themes.json 中的主题清单
+    current: null,
+    currentName: '',
+    defaultName: 'classic',
+    storageKey: 'themePreference',
+    label: { zh: '主题', en: 'theme' },
+    darkQuery: window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null,
+    appliedColors: [], // 已写入的颜色名，切换主题时先清除
+
+    // 加载主题清单和指定主题，失败时保留 style.css 中的默认颜色
+    async init(preferredName) {
+        logger.info('(开始初始化主题) | Starting to initialize themes');
+        this.list = await loadCatalog('themes.json', this.label);
+
+        // 链接或参数指定的主题 > 用户上次选择的主题 > 默认主题
+        const storedName = localStorage.getItem(this.storageKey);
+        const name = [preferredName, storedName].find((candidate) => findCatalogEntry(this.list, candidate)) || this.defaultName;
+        try {
+            await this.load(name);
+        } catch (error) {
+            logger.warn(`(加载主题 ${name} 失败，使用默认颜色) | Failed to load theme ${name}, using the default colors`);
+        }
+
+        // 系统深浅色切换时重新应用
+        if (this.darkQuery && this.darkQuery.addEventListener) {
+            this.darkQuery.addEventListener('change', () => this.apply());
+        }
+        return this.current;
+    },
+
+    // 加载主题文件并应用
+    async load(name) {
+        const theme = await loadCatalogEntry(this.list, name, 'themes', this.label);
+        this.validate(theme);
+
+        this.current = theme;
+        this.currentName = name;
+        this.apply();
+        logger.info(`(成功加载主题: ${name}) | Successfully loaded theme: ${name}`);
+        return theme;
+    },
+
+    // 用户在选择器中切换主题，记住选择
+    async select(name) {
+        await this.load(name);
+        localStorage.setItem(this.storageKey, name);
+    },
+
+    // 校验主题结构：颜色名只能是小写字母、数字和连字符，值必须是字符串
+    validate(theme) {
+        const palettes = [theme && theme.colors, theme && theme.dark].filter((palette) => palette !== undefined);
+        if (!theme || !theme.colors || !palettes.every((palette) => palette && typeof palette === 'object')) {
+            throw new Error('(主题缺少颜色) | Theme has no colors');
+        }
+        palettes.forEach((palette) => {
+            Object.entries(palette).forEach(([name, value]) => {
+                if (!/^[a-z][a-z0-9-]*$/.test(name) || typeof value !== 'string') {
+                    throw new Error(`(主题颜色不合法: ${name}) | Invalid theme color: ${name}`);
+                }
+            });
+        });
+    },
+
+    dark() {
+        return Boolean(this.darkQuery && this.darkQuery.matches);
+    },
+
+    // 把当前主题写入 <html> 的 CSS 自定义属性
+    apply() {
+        if (!this.current) return;
+        const root = document.documentElement;
+        const useDark = this.dark() && Boolean(this.current.dark);
+        const colors = { ...this.current.colors, ...(useDark ? this.current.dark : {}) };
+
+        this.appliedColors.forEach((name) => root.style.removeProperty(`--color-${name}`));
+        Object.entries(colors).forEach(([name, value]) => root.style.setProperty(`--color-${name}`, value));
+        this.appliedColors = Object.keys(colors);
+
+        // 让表单控件等原生元素跟随深浅色，并同步浏览器地址栏颜色
+        root.style.colorScheme = useDark ? 'dark' : 'light';
+        root.setAttribute('data-theme', this.currentName);
+        const themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor && colors.background) {
+            themeColor.setAttribute('content', colors.background);
+        }
+        logger.info(`(已应用主题: ${this.currentName}, 深色: ${useDark}) | Applied theme: ${this.currentName}, dark: ${useDark}`);
+    }
+};
+
+// 动效偏好：用户要求减少动效时用颜色和透明度代替位移和缩放 | Motion preference: colour and opacity replace movement and scaling when reduced motion is requested
+const motion = {
+    query: window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null,
+
+    reduced() {
+        return Boolean(this.query && this.query.matches);
+    }
+};
+
+// 通过 ARIA live 区域向读屏软件播报 | Announce to screen readers through the ARIA live region
+function announce(message) {
+    const region = document.getElementById('liveRegion');
+    // 先清空再写入，确保相同内容也会被重新播报
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+// 加载层：翻译和图片加载期间显示进度，阻塞任务全部完成后隐藏 | Loading layer: shows progress while translations and images load, hides once every blocking task settles
+const loader = {
+    tasks: new Map(), // 任务名 -> { progress: 0~1, blocking }
+    imageTimeout: 5000, // 图片预加载最长等待时间，超时后不再等待
+
+    // 开始一个任务，非阻塞任务只在后台记录进度，不会显示加载层
+    start(name, { blocking = true } = {}) {
+        this.tasks.set(name, { progress: 0, blocking });
+        this.render();
+    },
+
+    // 更新任务进度
+    update(name, progress) {
+        const task = this.tasks.get(name);
+        if (task) {
+            task.progress = Math.min(1, Math.max(0, progress));
+            this.render();
+        }
+    },
+
+    finish(name) {
+        this.update(name, 1);
+    },
+
+    // 等待一个后台任务完成，期间显示加载层
+    async waitFor(name, promise) {
+        const task = this.tasks.get(name);
+        if (task && task.progress < 1) {
+            task.blocking = true;
+            this.render();
+        }
+        return promise;
+    },
+
+    // 根据阻塞任务的平均进度更新加载层
+    render() {
+        const layer = document.getElementById('loadingLayer');
+        const active = [...this.tasks.values()].filter((task) => task.blocking);
+        const busy = active.some((task) => task.progress < 1);
+        const progress = active.length ? active.reduce((sum, task) => sum + task.progress, 0) / active.length : 1;
+        const percent = Math.round(progress * 100);
+
+        document.getElementById('loadingProgressBar').style.width = `${percent}%`;
+        document.getElementById('loadingProgress').setAttribute('aria-valuenow', String(percent));
+        layer.setAttribute('aria-busy', String(busy));
+        layer.hidden = !busy;
+
+        // 一轮加载结束后清除已完成的任务，下次从 0 开始计算进度
+        if (!busy) {
+            this.tasks.forEach((task, name) => {
+                if (task.progress >= 1) this.tasks.delete(name);
+            });
+        }
+    },
+
+    // 预加载图片，超时后不再等待（图片仍会在后台继续加载） | Preload images; stops waiting after the timeout while the images keep loading in the background
+    preloadImages(name, urls, { blocking = false } = {}) {
+        const unique = [...new Set(urls)];
+        let settled = 0;
+        this.start(name, { blocking });
+
+        const loads = unique.map((url) => new Promise((resolve) => {
+            const image = new Image();
+            image.onload = () => resolve(true);
+            image.onerror = () => {
+                logger.warn(`(图片预加载失败: ${url}) | Failed to preload the image: ${url}`);
+                resolve(false);
+            };
+            image.src = url;
+        }).then((ok) => {
+            settled++;
+            this.update(name, settled / unique.length);
+            return ok;
+        }));
+
+        let timer;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(() => resolve('timeout'), this.imageTimeout);
+        });
+        return Promise.race([Promise.all(loads), timeout]).then((result) => {
+            clearTimeout(timer);
+            if (result === 'timeout') {
+                logger.warn(`(图片预加载超时，已加载 ${settled}/${unique.length}，继续显示页面) | Image preloading timed out with ${settled}/${unique.length} loaded, showing the page anyway`);
+            } else {
+                logger.info(`(已预加载 ${unique.length} 张图片) | Preloaded ${unique.length} images`);
+            }
+            this.finish(name);
+        });
+    }
+};
+
+// No 按钮躲避方式：经典挤开、逃跑、缩小、瞬移、与 Yes 交换位置 | No-button behaviors: classic squeeze, runaway, shrink, teleport and swap with Yes
+const noBehaviors = {
+    defaultName: 'classic',
+    currentName: '',
+    offset: { x: 0, y: 0 }, // No 按钮当前的位移
+    scale: 1, // No 按钮当前的缩放
+    dodgeDistance: 60, // 指针靠近到多少像素内时逃跑
+    dodgeCooldown: 600, // 两次逃跑计为尝试的最小间隔（毫秒）
+    lastDodge: 0,
+
+    modes: {
+        // 经典：按剧本的 offsetX 把 No 挤向一侧
+        classic: {
+            apply(ctx) {
+                const offsetX = (ctx.stage.no && ctx.stage.no.offsetX) || 0;
+                noBehaviors.moveTo(ctx.elements, offsetX * ctx.direction, 0);
+            }
+        },
+        // 逃跑：指针或手指靠近时躲开
+        runaway: {
+            dodging: false, // 躲开后计为一次尝试时为 true，此时 apply 不再移动
+            attach(elements, onAttempt) {
+                const dodge = (clientX, clientY) => {
+                    const rect = elements.noButton.getBoundingClientRect();
+                    const centerX = rect.left + rect.width / 2;
+                    const centerY = rect.top + rect.height / 2;
+                    const distance = Math.hypot(clientX - centerX, clientY - centerY);
+                    if (distance > Math.max(rect.width, rect.height) / 2 + noBehaviors.dodgeDistance) {
+                        return;
+                    }
+
+                    // 沿远离指针的方向移动，被逼到角落时随机瞬移
+                    const angle = Math.atan2(centerY - clientY, centerX - clientX);
+                    const step = noBehaviors.dodgeDistance * 1.5;
+                    const before = { ...noBehaviors.offset };
+                    noBehaviors.moveTo(elements, before.x + Math.cos(angle) * step, before.y + Math.sin(angle) * step);
+                    if (Math.hypot(noBehaviors.offset.x - before.x, noBehaviors.offset.y - before.y) < step / 3) {
+                        noBehaviors.moveToRandomSpot(elements);
+                    }
+
+                    const now = Date.now();
+                    if (now - noBehaviors.lastDodge > noBehaviors.dodgeCooldown) {
+                        noBehaviors.lastDodge = now;
+                        this.dodging = true;
+                        try {
+                            onAttempt();
+                        } finally {
+                            this.dodging = false;
+                        }
+                    }
+                };
+                elements.confessionContainer.addEventListener('pointermove', (event) => {
+                    if (event.pointerType === 'mouse') dodge(event.clientX, event.clientY);
+                });
+                // 触屏在按下之前无法感知位置，按到按钮上时立即躲开并阻止点击
+                elements.noButton.addEventListener('touchstart', (event) => {
+                    event.preventDefault();
+                    const touch = event.touches[0];
+                    dodge(touch.clientX, touch.clientY);
+                }, { passive: false });
+            },
+            apply(ctx) {
+                // 躲开时已经移动过，只有键盘等方式点中时才跳到随机位置，避免连跳两次
+                if (this.dodging) return;
+                noBehaviors.moveToRandomSpot(ctx.elements);
+            }
+        },
+        // 缩小：每次拒绝后 No 变小
+        shrink: {
+            apply(ctx) {
+                noBehaviors.scale = (ctx.stage.no && ctx.stage.no.scale) || Math.max(0.3, 1 - ctx.clickCount * 0.15);
+                noBehaviors.moveTo(ctx.elements, 0, 0);
+            }
+        },
+        // 瞬移：跳到可见区域内的随机位置
+        teleport: {
+            apply(ctx) {
+                noBehaviors.moveToRandomSpot(ctx.elements);
+            }
+        },
+        // 交换：与 Yes 互换位置
+        swap: {
+            apply(ctx) {
+                ctx.elements.confessionContainer.querySelector('.buttons').classList.toggle('swapped');
+                noBehaviors.moveTo(ctx.elements, 0, 0);
+            }
+        }
+    },
+
+    // 选择躲避方式，未知名称时使用经典方式
+    select(name) {
+        this.currentName = name && Object.hasOwn(this.modes, name) ? name : this.defaultName;
+        logger.info(`(No 按钮躲避方式: ${this.currentName}) | No-button behavior: ${this.currentName}`);
+        return this.modes[this.currentName];
+    },
+
+    // 绑定当前方式需要的事件，并在窗口大小变化时把按钮拉回可见区域
+    attach(elements, onAttempt) {
+        const mode = this.modes[this.currentName];
+        if (mode.attach && !motion.reduced()) {
+            mode.attach(elements, onAttempt);
+        }
+        window.addEventListener('resize', () => this.moveTo(elements, this.offset.x, this.offset.y));
+    },
+
+    // 每个阶段调用一次，减少动效时只降低 No 按钮的透明度
+    apply(ctx) {
+        if (motion.reduced()) {
+            ctx.elements.noButton.style.opacity = String(Math.max(0.4, 1 - ctx.clickCount * 0.12));
+            return;
+        }
+        this.modes[this.currentName].apply(ctx);
+    },
+
+    // 恢复按钮的初始状态
+    reset(elements) {
+        this.offset = { x: 0, y: 0 };
+        this.scale = 1;
+        elements.noButton.style.transform = '';
+        elements.noButton.style.opacity = '';
+        elements.confessionContainer.querySelector('.buttons').classList.remove('swapped');
+    },
+
+    // 容器在视口内的可见区域
+    getBounds(elements) {
+        const rect = elements.confessionContainer.getBoundingClientRect();
+        return {
+            left: Math.max(rect.left, 0),
+            top: Math.max(rect.top, 0),
+            right: Math.min(rect.right, window.innerWidth),
+            bottom: Math.min(rect.bottom, window.innerHeight)
+        };
+    },
+
+    // 计算按钮在不越出可见区域时允许的位移范围
+    getOffsetRange(elements) {
+        const bounds = this.getBounds(elements);
+        const button = elements.noButton;
+        // 用布局位置而不是 getBoundingClientRect 计算原始位置，避免过渡动画进行中取到中间值
+        const parent = button.offsetParent || document.body;
+        const parentRect = parent.getBoundingClientRect();
+        const width = button.offsetWidth * this.scale;
+        const height = button.offsetHeight * this.scale;
+        // 缩放以中心为原点
+        const baseLeft = parentRect.left + parent.clientLeft + button.offsetLeft + (button.offsetWidth - width) / 2;
+        const baseTop = parentRect.top + parent.clientTop + button.offsetTop + (button.offsetHeight - height) / 2;
+        return {
+            minX: bounds.left - baseLeft,
+            maxX: Math.max(bounds.left - baseLeft, bounds.right - baseLeft - width),
+            minY: bounds.top - baseTop,
+            maxY: Math.max(bounds.top - baseTop, bounds.bottom - baseTop - height)
+        };
+    },
+
+    // 移动按钮，位移会被限制在可见区域内
+    moveTo(elements, x, y) {
+        const range = this.getOffsetRange(elements);
+        this.offset = {
+            x: Math.min(Math.max(x, range.minX), range.maxX),
+            y: Math.min(Math.max(y, range.minY), range.maxY)
+        };
+        elements.noButton.style.transform = `translate(${this.offset.x}px, ${this.offset.y}px) scale(${this.scale})`;
+    },
+
+    // 移动到可见区域内的随机位置
+    moveToRandomSpot(elements) {
+        const range = this.getOffsetRange(elements);
+        this.moveTo(
+            elements,
+            range.minX + Math.random() * (range.maxX - range.minX),
+            range.minY + Math.random() * (range.maxY - range.minY)
+        );
+    }
+};
+
+// 庆祝特效：答应后在画布上播放爱心、彩纸或烟花粒子 | Celebration effects: hearts, confetti or fireworks particles drawn on a canvas after Yes
+const celebration = {
+    defaultName: 'hearts',
+    currentName: '',
+    duration: 4000, // 持续发射粒子的时间（毫秒），之后等剩余粒子消失再停止
+    maxParticles: 240, // 同时存在的粒子上限，低功耗设备减半
+    frameBudget: 8, // 每帧更新和绘制允许的耗时（毫秒），超出时降低粒子上限
+    colors: ['#ff6b6b', '#ff8fab', '#f1d5da', '#a581d4', '#ffd166', '#ffffff'],
+    particles: [],
+    cap: 0,
+    frameCost: 0, // 每帧耗时的滑动平均
+    frameId: 0,
+    startedAt: 0,
+    lastFrame: 0,
+    intensity: 1,
+    emitCarry: 0, // 累积的待发射粒子数（小数部分）
+
+    presets: {
+        // 爱心：从底部飘起并左右摇摆
+        hearts: {
+            rate: 30, // 每秒发射数量（强度为 1 时）
+            emit(width, height) {
+                const size = 10 + Math.random() * 14;
+                return [{
+                    shape: 'heart',
+                    x: Math.random() * width,
+                    y: height + size,
+                    vx: (Math.random() - 0.5) * 30,
+                    vy: -(60 + Math.random() * 90),
+                    gravity: -10,
+                    sway: Math.random() * Math.PI * 2,
+                    size,
+                    life: 4,
+                    color: celebration.randomColor(['#ff6b6b', '#ff8fab', '#e28d9b'])
+                }];
+            }
+        },
+        // 彩纸：从顶部撒下并旋转
+        confetti: {
+            rate: 60,
+            emit(width) {
+                return [{
+                    shape: 'rect',
+                    x: Math.random() * width,
+                    y: -10,
+                    vx: (Math.random() - 0.5) * 80,
+                    vy: 40 + Math.random() * 80,
+                    gravity: 60,
+                    rotation: Math.random() * Math.PI,
+                    spin: (Math.random() - 0.5) * 8,
+                    size: 6 + Math.random() * 6,
+                    life: 5,
+                    color: celebration.randomColor()
+                }];
+            }
+        },
+        // 烟花：升空后炸开成火花
+        fireworks: {
+            rate: 2,
+            emit(width, height) {
+                return [{
+                    shape: 'dot',
+                    x: width * (0.2 + Math.random() * 0.6),
+                    y: height,
+                    vx: (Math.random() - 0.5) * 40,
+                    vy: -(height * 0.6 + Math.random() * height * 0.3),
+                    gravity: height * 0.45,
+                    size: 3,
+                    life: 1 + Math.random() * 0.4,
+                    color: '#ffd166',
+                    burst: true
+                }];
+            },
+            // 火箭燃尽时炸开，强度越高火花越多
+            explode(rocket) {
+                const count = Math.round(24 * celebration.intensity);
+                const color = celebration.randomColor();
+                return Array.from({ length: count }, (_, i) => {
+                    const angle = (i / count) * Math.PI * 2;
+                    const speed = 80 + Math.random() * 80;
+                    return {
+                        shape: 'dot',
+                        x: rocket.x,
+                        y: rocket.y,
+                        vx: Math.cos(angle) * speed,
+                        vy: Math.sin(angle) * speed,
+                        gravity: 80,
+                        size: 2 + Math.random() * 1.5,
+                        life: 1.2 + Math.random() * 0.6,
+                        color
+                    };
+                });
+            }
+        }
+    },
+
+    select(name) {
+        this.currentName = name && Object.hasOwn(this.presets, name) ? name : this.defaultName;
+        logger.info(`(庆祝特效: ${this.currentName}) | Celebration effect: ${this.currentName}`);
+        return this.presets[this.currentName];
+    },
+
+    // 低功耗设备：CPU 核心少、内存小或开启了省流量模式
+    lowPower() {
+        const connection = navigator.connection;
+        return (navigator.hardwareConcurrency || 4) <= 2
+            || (navigator.deviceMemory || 4) <= 2
+            || Boolean(connection && connection.saveData);
+    },
+
+    randomColor(palette = this.colors) {
+        return palette[Math.floor(Math.random() * palette.length)];
+    },
+
+    // 开始播放，拒绝次数越多越热闹 | Start playing; the more No clicks, the bigger the party
+    start(clickCount = 0) {
+        this.stop();
+        if (motion.reduced()) {
+            logger.info('(用户要求减少动效，跳过庆祝特效) | Reduced motion requested, skipping the celebration effect');
+            return;
+        }
+
+        const canvas = document.getElementById('celebrationCanvas');
+        if (!canvas.getContext || !canvas.getContext('2d')) {
+            return;
+        }
+        const lowPower = this.lowPower();
+        // 低功耗设备不按设备像素比放大画布，减少绘制像素
+        const ratio = lowPower ? 1 : Math.min(window.devicePixelRatio || 1, 2);
+        canvas.width = window.innerWidth * ratio;
+        canvas.height = window.innerHeight * ratio;
+        canvas.getContext('2d').setTransform(ratio, 0, 0, ratio, 0, 0);
+        canvas.hidden = false;
+
+        this.intensity = 1 + Math.min(clickCount, 10) / 5;
+        this.cap = lowPower ? this.maxParticles / 2 : this.maxParticles;
+        this.particles = [];
+        this.frameCost = 0;
+        this.emitCarry = 0;
+        this.startedAt = performance.now();
+        this.lastFrame = this.startedAt;
+        this.frameId = requestAnimationFrame((now) => this.frame(now));
+        logger.info(`(开始播放庆祝特效: ${this.currentName}, 强度: ${this.intensity}, 低功耗: ${lowPower}) | Started the celebration effect: ${this.currentName}, intensity: ${this.intensity}, low power: ${lowPower}`);
+    },
+
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = 0;
+        }
+        this.particles = [];
+        const canvas = document.getElementById('celebrationCanvas');
+        if (!canvas.hidden) {
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            canvas.hidden = true;
+            logger.info('(庆祝特效已停止) | Celebration effect stopped');
+        }
+    },
+
+    frame(now) {
+        const frameStart = performance.now();
+        const dt = Math.min((now - this.lastFrame) / 1000, 0.05); // 切回标签页时避免一帧跳太远
+        this.lastFrame = now;
+        const preset = this.presets[this.currentName];
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        // 持续时间内按强度发射新粒子
+        if (now - this.startedAt < this.duration) {
+            this.emitCarry += preset.rate * this.intensity * dt;
+            while (this.emitCarry >= 1 && this.particles.length < this.cap) {
+                this.emitCarry--;
+                this.particles.push(...preset.emit(width, height));
+            }
+            this.emitCarry = Math.min(this.emitCarry, 1);
+        }
+
+        const spawned = [];
+        this.particles = this.particles.filter((particle) => {
+            particle.life -= dt;
+            particle.vy += particle.gravity * dt;
+            particle.x += particle.vx * dt;
+            particle.y += particle.vy * dt;
+            if (particle.spin) particle.rotation += particle.spin * dt;
+            if (particle.sway !== undefined) {
+                particle.sway += dt * 3;
+                particle.x += Math.sin(particle.sway) * 0.5;
+            }
+            if (particle.life <= 0 && particle.burst) {
+                spawned.push(...preset.explode(particle));
+            }
+            return particle.life > 0 && particle.y < height + 40;
+        });
+        this.particles.push(...spawned.slice(0, Math.max(0, this.cap - this.particles.length)));
+
+        this.draw();
+
+        // 粒子全部消失后自动停止
+        if (!this.particles.length && now - this.startedAt >= this.duration) {
+            this.stop();
+            return;
+        }
+
+        // 帧耗时超出预算时降低粒子上限并丢弃最旧的粒子
+        this.frameCost = this.frameCost * 0.9 + (performance.now() - frameStart) * 0.1;
+        if (this.frameCost > this.frameBudget && this.cap > 20) {
+            this.cap = Math.floor(this.cap * 0.8);
+            this.particles.splice(0, Math.max(0, this.particles.length - this.cap));
+            logger.debug(`(庆祝特效帧耗时过高，粒子上限降为 ${this.cap}) | Celebration frames are too slow, lowered the particle cap to ${this.cap}`);
+        }
+        this.frameId = requestAnimationFrame((time) => this.frame(time));
+    },
+
+    draw() {
+        const canvas = document.getElementById('celebrationCanvas');
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        this.particles.forEach((particle) => {
+            context.globalAlpha = Math.min(1, particle.life);
+            context.fillStyle = particle.color;
+            switch (particle.shape) {
+                case 'heart':
+                    this.drawHeart(context, particle.x, particle.y, particle.size);
+                    break;
+                case 'rect':
+                    context.save();
+                    context.translate(particle.x, particle.y);
+                    context.rotate(particle.rotation);
+                    context.fillRect(-particle.size / 2, -particle.size / 4, particle.size, particle.size / 2);
+                    context.restore();
+                    break;
+                default:
+                    context.beginPath();
+                    context.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+                    context.fill();
+            }
+        });
+        context.globalAlpha = 1;
+    },
+
+    drawHeart(context, x, y, size) {
+        const half = size / 2;
+        context.beginPath();
+        context.moveTo(x, y + half);
+        context.bezierCurveTo(x - size, y - half / 2, x - half, y - size, x, y - half / 2);
+        context.bezierCurveTo(x + half, y - size, x + size, y - half / 2, x, y + half);
+        context.fill();
+    }
+};
+
+// 下载二进制文件（卡片图片、日历事件等） | Download a blob such as the card image or a calendar event
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // 留一点时间让浏览器开始下载再释放
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    logger.info(`(已下载文件: ${fileName}) | Downloaded the file: ${fileName}`);
+}
+
+// 日历：生成 RFC 5545 格式的 .ics 事件 | Calendar: builds RFC 5545 .ics events
+const calendar = {
+    productId: '-//tang-love//Date Planner//EN',
+    maxLineBytes: 75, // RFC 5545 每行最多 75 个字节
+
+    // 转义文本值中的反斜杠、分号、逗号和换行
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    // UTC 时间，如 20270214T110000Z
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    // 折行：续行以空格开头，按字节计数且不拆开多字节字符
+    fold(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // 续行开头的空格也占一个字节
+            const limit = parts.length ? this.maxLineBytes - 1 : this.maxLineBytes;
+            if (bytes + size > limit) {
+                parts.push(current);
+                current = '';
+                bytes = 0;
+            }
+            current += char;
+            bytes += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+
+    // 生成只包含一个事件的日历文件内容 | Build a calendar file containing a single event
+    createEvent({ title, description, start, durationMinutes = 120, now = new Date() }) {
+        const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+        const uid = `${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 10)}@tang-love`;
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.productId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${this.formatUtc(now)}`,
+            `DTSTART:${this.formatUtc(start)}`,
+            `DTEND:${this.formatUtc(end)}`,
+            `SUMMARY:${this.escapeText(title)}`
+        ];
+        if (description) {
+            lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+        }
+        lines.push('END:VEVENT', 'END:VCALENDAR');
+        // 每行以 CRLF 结尾
+        return `${lines.map((line) => this.fold(line)).join('\r\n')}\r\n`;
+    }
+};
+
+// 纪念卡片：把表白成功信息画到画布上，导出 PNG 或通过系统分享 | Result card: draws the accepted confession onto a canvas and exports it as a PNG or through the share sheet
+const resultCard = {
+    width: 1080,
+    height: 1350,
+    padding: 90,
+    imageUrl: 'assets/images/hug.webp',
+
+    // 加载拥抱图片（已预加载时直接命中缓存）
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`(卡片图片加载失败: ${src}) | Failed to load the card image: ${src}`));
+            image.src = src;
+        });
+    },
+
+    // 按词（中日泰等语言按分词结果）换行，保留原文中的换行 | Wrap by word (segmented words for CJK, Thai and so on), keeping explicit line breaks
+    wrapText(context, text, maxWidth) {
+        const segmenter = typeof Intl.Segmenter === 'function'
+            ? new Intl.Segmenter(i18n.currentLang, { granularity: 'word' })
+            : null;
+        const lines = [];
+        text.split('\n').forEach((paragraph) => {
+            const segments = segmenter
+                ? Array.from(segmenter.segment(paragraph), (part) => part.segment)
+                : paragraph.split(/(\s+)/);
+            let line = '';
+            segments.forEach((segment) => {
+                const candidate = line + segment;
+                if (line.trim() && context.measureText(candidate).width > maxWidth) {
+                    lines.push(line.trim());
+                    line = segment.trimStart();
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line.trim());
+        });
+        return lines.filter(Boolean);
+    },
+
+    // 画出卡片，返回画布 | Draw the card and return the canvas
+    async render({ message, username, sender, clickCount, date = new Date() }) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        const context = canvas.getContext('2d');
+        if (!context) {
+            throw new Error('(浏览器不支持画布) | Canvas is not supported');
+        }
+
+        // 等字体就绪，泰语和阿拉伯语需要用对应字体正确连写
+        if (document.fonts && document.fonts.ready) {
+            await document.fonts.ready;
+        }
+        const rootStyle = getComputedStyle(document.documentElement);
+        const fontStack = rootStyle.getPropertyValue('--font-stack').trim() || 'sans-serif';
+        // 卡片跟随当前主题的颜色
+        const color = (name, fallback) => rootStyle.getPropertyValue(`--color-${name}`).trim() || fallback;
+        const image = await this.loadImage(this.imageUrl);
+
+        const center = this.width / 2;
+        const textWidth = this.width - this.padding * 2;
+        context.direction = i18n.getDirection();
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        // 背景和白色卡片
+        context.fillStyle = color('accepted-background', '#ffdae0');
+        context.fillRect(0, 0, this.width, this.height);
+        context.fillStyle = '#ffffff';
+        context.beginPath();
+        if (context.roundRect) {
+            context.roundRect(50, 50, this.width - 100, this.height - 100, 48);
+        } else {
+            context.rect(50, 50, this.width - 100, this.height - 100);
+        }
+        context.fill();
+
+        // 告白语
+        let y = 170;
+        context.fillStyle = color('accent', '#d4818e');
+        context.font = `56px ${fontStack}`;
+        this.wrapText(context, message, textWidth).slice(0, 5).forEach((line) => {
+            context.fillText(line, center, y, textWidth);
+            y += 72;
+        });
+
+        // 拥抱图片
+        const imageSize = 420;
+        context.drawImage(image, center - imageSize / 2, y + 10, imageSize, imageSize);
+        y += imageSize + 80;
+
+        // 名字
+        context.fillStyle = color('primary', '#a581d4');
+        context.font = `44px ${fontStack}`;
+        const names = [
+            username ? i18n.t('cardFor', { username }) : '',
+            sender ? i18n.t('cardFrom', { sender }) : ''
+        ].filter(Boolean);
+        names.forEach((line) => {
+            context.fillText(line, center, y, textWidth);
+            y += 60;
+        });
+
+        // 拒绝次数和日期
+        context.fillStyle = '#888888';
+        context.font = `34px ${fontStack}`;
+        this.wrapText(context, i18n.t('noCountSummary', { count: clickCount }), textWidth).forEach((line) => {
+            context.fillText(line, center, y, textWidth);
+            y += 48;
+        });
+        const dateText = new Intl.DateTimeFormat(i18n.currentLang, { dateStyle: 'long' }).format(date);
+        context.fillText(dateText, center, this.height - 110, textWidth);
+
+        logger.info('(纪念卡片绘制完成) | Result card rendered');
+        return canvas;
+    },
+
+    toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('(卡片导出失败) | Failed to export the card'));
+                }
+            }, 'image/png');
+        });
+    },
+
+    // 支持分享文件时调起系统分享，否则下载 PNG；返回 'shared'、'downloaded' 或 'cancelled' | Share the file where supported, otherwise download the PNG; returns 'shared', 'downloaded' or 'cancelled'
+    async save(details) {
+        const canvas = await this.render(details);
+        const blob = await this.toBlob(canvas);
+        const fileName = `tang-love-${new Date().toISOString().slice(0, 10)}.png`;
+
+        const file = typeof File === 'function' ? new File([blob], fileName, { type: 'image/png' }) : null;
+        if (file && navigator.canShare && navigator.canShare({ files: [file] })) {
+            try {
+                await navigator.share({ files: [file], title: document.title });
+                logger.info('(已通过系统分享卡片) | Shared the card through the share sheet');
+                return 'shared';
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    logger.info('(用户取消了分享) | User cancelled sharing');
+                    return 'cancelled';
+                }
+                logger.warn(`(分享失败，改为下载: ${error.message}) | Sharing failed, downloading instead: ${error.message}`);
+            }
+        }
+
+        downloadBlob(blob, fileName);
+        return 'downloaded';
+    }
+};
+
+// 音效：用 Web Audio 合成每个拒绝阶段的提示音和答应时的小曲，无需音频文件 | Sound: Web Audio synthesizes a cue per No stage and a jingle on Yes, no audio files needed
+const sound = {
+    storageKey: 'soundMuted',
+    muted: false,
+    context: null, // 首次用户操作后才创建，满足浏览器自动播放策略
+    volume: 0.2,
+
+    // 每个音符为 [频率 Hz, 时长 秒]，频率为 0 表示休止
+    cues: {
+        shocked: { wave: 'square', notes: [[880, 0.07], [1320, 0.14]] },
+        think: { wave: 'triangle', notes: [[523, 0.18], [0, 0.05], [440, 0.28]] },
+        angry: { wave: 'sawtooth', notes: [[196, 0.12], [185, 0.12], [175, 0.22]] },
+        crying: { wave: 'sine', notes: [[659, 0.22], [587, 0.22], [523, 0.22], [392, 0.45]] },
+        yes: { wave: 'triangle', notes: [[523, 0.12], [659, 0.12], [784, 0.12], [1047, 0.24], [0, 0.06], [784, 0.12], [1047, 0.45]] }
+    },
+    stageOrder: ['shocked', 'think', 'angry', 'crying'], // 剧本图片没有对应音效时按阶段顺序选择
+
+    init() {
+        this.muted = localStorage.getItem(this.storageKey) === '1';
+        // 浏览器要求音频在用户操作之后才能开始
+        const unlock = () => {
+            this.unlock();
+            document.removeEventListener('pointerdown', unlock, true);
+            document.removeEventListener('keydown', unlock, true);
+        };
+        document.addEventListener('pointerdown', unlock, true);
+        document.addEventListener('keydown', unlock, true);
+
+        const toggle = document.getElementById('soundToggle');
+        this.renderToggle(toggle);
+        toggle.addEventListener('click', () => {
+            this.setMuted(!this.muted);
+            this.renderToggle(toggle);
+        });
+        logger.info(`(音效初始化完成，静音: ${this.muted}) | Sound initialized, muted: ${this.muted}`);
+    },
+
+    unlock() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) {
+            logger.info('(浏览器不支持 Web Audio，音效不可用) | Web Audio is not supported, sound is unavailable');
+            return;
+        }
+        if (!this.context) {
+            this.context = new AudioContext();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    },
+
+    setMuted(muted) {
+        this.muted = muted;
+        localStorage.setItem(this.storageKey, muted ? '1' : '0');
+        logger.info(`(音效${muted ? '已静音' : '已开启'}) | Sound ${muted ? 'muted' : 'unmuted'}`);
+    },
+
+    renderToggle(toggle) {
+        toggle.textContent = this.muted ? '🔇' : '🔊';
+        toggle.setAttribute('aria-pressed', String(!this.muted));
+    },
+
+    // 播放剧本阶段对应的提示音：优先使用阶段的 sound，其次按图片名，最后按阶段顺序 | Play the cue for a scenario stage: the stage's sound first, then the image name, then the stage order
+    playStage(stage, index) {
+        const imageName = stage.image.split('/').pop().replace(/\.\w+$/, '');
+        const name = [stage.sound, imageName].find((candidate) => Object.hasOwn(this.cues, candidate))
+            || this.stageOrder[Math.min(index, this.stageOrder.length - 1)];
+        this.play(name);
+    },
+
+    play(name) {
+        const cue = this.cues[name];
+        if (this.muted || !cue || !this.context || this.context.state !== 'running') {
+            return;
+        }
+        let time = this.context.currentTime + 0.02;
+        cue.notes.forEach(([frequency, duration]) => {
+            if (frequency) {
+                this.playNote(cue.wave, frequency, time, duration);
+            }
+            time += duration;
+        });
+        logger.debug(`(播放音效: ${name}) | Playing sound: ${name}`);
+    },
+
+    // 单个音符：快速起音后指数衰减，避免爆音 | A single note: quick attack then exponential decay to avoid clicks
+    playNote(wave, frequency, start, duration) {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(this.volume, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        oscillator.connect(gain).connect(this.context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.02);
+    }
+};
+
+// 事件总线：页面内插件可以监听表白过程中的事件 | Event bus: in-page plugins can listen to what happens during the confession
+const events = {
+    listeners: new Map(), // 事件名 -> Set(处理函数)
+    plugins: new Map(), // 插件名 -> 插件
+
+    // 监听事件，返回取消监听的函数
+    on(name, handler) {
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, new Set());
+        }
+        this.listeners.get(name).add(handler);
+        return () => this.off(name, handler);
+    },
+
+    off(name, handler) {
+        const handlers = this.listeners.get(name);
+        if (handlers) handlers.delete(handler);
+    },
+
+    // 触发事件，单个监听器出错不影响其他监听器和页面；日志只记录事件名，detail 中可能有名字
+    emit(name, detail = {}) {
+        logger.debug(`(触发事件: ${name}) | Emitting event: ${name}`);
+        (this.listeners.get(name) || []).forEach((handler) => {
+            try {
+                handler(detail);
+            } catch (error) {
+                logger.error(`(事件 ${name} 的监听器出错: ${error.message}) | A listener of event ${name} failed: ${error.message}`, error);
+            }
+        });
+        embed.post(name, detail);
+    },
+
+    // 注册插件：{ name, setup(events) }，setup 中通过 events.on 监听事件 | Register a plugin: { name, setup(events) }; setup listens through events.on
+    use(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.setup !== 'function') {
+            throw new Error('(插件需要 name 和 setup) | A plugin needs a name and a setup function');
+        }
+        if (this.plugins.has(plugin.name)) {
+            logger.warn(`(插件已注册: ${plugin.name}) | Plugin is already registered: ${plugin.name}`);
+            return;
+        }
+        this.plugins.set(plugin.name, plugin);
+        plugin.setup(this);
+        logger.info(`(已注册插件: ${plugin.name}) | Registered plugin: ${plugin.name}`);
+    },
+
+    // 注册在 script.js 之前放入 window.tangLovePlugins 的插件
+    registerQueuedPlugins() {
+        (window.tangLovePlugins || []).forEach((plugin) => {
+            try {
+                this.use(plugin);
+            } catch (error) {
+                logger.error(error.message);
+            }
+        });
+    }
+};
+
+// 嵌入：在 iframe 中运行时把事件转发给父页面，并接受允许来源发来的配置 | Embedding: inside an iframe, forwards events to the parent and accepts configuration from allowed origins
+const embed = {
+    source: 'tang-love', // 消息标识，父页面据此区分消息
+    allowedOrigins: [],
+    parentOrigin: '', // 父页面来源，只有在允许列表中才会发送消息
+    listening: false, // listen() 之后才能接受配置
+
+    // 允许的来源写在 <meta name="embed-allowed-origins">，多个来源用空格分隔
+    // 父页面发送 { source, type: 'hello' } 握手，以消息的 origin 作为父页面来源；noreferrer 等情况下没有 referrer，referrer 只作为后备
+    init() {
+        if (window.parent === window) {
+            return;
+        }
+        const meta = document.querySelector('meta[name="embed-allowed-origins"]');
+        this.allowedOrigins = meta ? meta.content.split(/\s+/).filter(Boolean) : [];
+        window.addEventListener('message', (event) => {
+            const data = event.data;
+            if (event.source !== window.parent || !data || data.source !== this.source || data.type !== 'hello') {
+                return;
+            }
+            if (!this.allowedOrigins.includes(event.origin)) {
+                logger.warn(`(忽略来自 ${event.origin} 的握手消息) | Ignoring a handshake message from ${event.origin}`);
+                return;
+            }
+            this.parentOrigin = event.origin;
+            logger.info(`(已与父页面握手: ${event.origin}) | Completed the handshake with the parent page: ${event.origin}`);
+            // 页面还没准备好时，ready 留到 listen() 中发送 | If the page is not ready yet, listen() sends ready later
+            if (this.listening) {
+                this.post('ready');
+            }
+        });
+        const referrerOrigin = document.referrer ? new URL(document.referrer).origin : '';
+        if (this.allowedOrigins.includes(referrerOrigin)) {
+            this.parentOrigin = referrerOrigin;
+        } else {
+            logger.info(`(父页面来源 ${referrerOrigin || '未知'} 不在允许列表中，等待父页面握手) | Parent origin ${referrerOrigin || 'unknown'} is not allowed, waiting for a handshake from the parent page`);
+        }
+    },
+
+    // 页面准备好后开始接受配置，并通知父页面可以发送配置了
+    listen(onConfig) {
+        if (window.parent === window) {
+            return;
+        }
+        window.addEventListener('message', (event) => {
+            const data = event.data;
+            if (event.source !== window.parent || !data || data.source !== this.source || data.type !== 'config') {
+                return;
+            }
+            if (!this.allowedOrigins.includes(event.origin)) {
+                logger.warn(`(忽略来自 ${event.origin} 的配置消息) | Ignoring a configuration message from ${event.origin}`);
+                return;
+            }
+            // 只记录字段名，配置中可能有名字 | Log only the field names, the config may contain a name
+            const fields = Object.keys(data).filter((key) => key !== 'source' && key !== 'type').join(', ');
+            logger.info(`(收到父页面配置: ${fields}) | Received configuration from the parent page: ${fields}`);
+            onConfig(data);
+        });
+        this.listening = true;
+        this.post('ready');
+    },
+
+    post(name, detail = {}) {
+        if (!this.parentOrigin) return;
+        window.parent.postMessage({ source: this.source, type: 'event', name, detail }, this.parentOrigin);
+    }
+};
+
+// 页面路由：在姓名输入、表白问题和表白成功页面之间切换，并与浏览器历史记录同步 | Screen router: switches between name entry, question and accepted screens and keeps browser history in sync
+const router = {
+    screens: new Map(), // 页面名 -> { element, display, focus, canEnter, onEnter, onLeave }
+    current: '',
+    home: 'name', // 历史记录中的页面不能进入时回到这里
+
+    // 注册页面，canEnter 返回 false 时浏览器历史导航不能进入该页面
+    register(name, element, { display = 'block', focus, canEnter, onEnter, onLeave } = {}) {
+        this.screens.set(name, { element, display, focus, canEnter, onEnter, onLeave });
+    },
+
+    // 以初始页面启动路由，替换当前历史记录而不是新增
+    start(name) {
+        window.addEventListener('popstate', (event) => {
+            const screen = event.state && event.state.screen;
+            if (!this.screens.has(screen)) return;
+            // 重新开始后返回旧记录时，表白内容已经清空 | After a restart, going back reaches entries whose confession was cleared
+            const { canEnter } = this.screens.get(screen);
+            if (canEnter && !canEnter()) {
+                logger.info(`(页面 ${screen} 当前不可进入，回到 ${this.home}) | Screen ${screen} cannot be entered now, returning to ${this.home}`);
+                this.go(this.home, { replace: true });
+                return;
+            }
+            logger.info(`(浏览器历史导航到页面: ${screen}) | Browser history navigated to screen: ${screen}`);
+            this.show(screen);
+        });
+        this.go(name, { replace: true });
+    },
+
+    // 切换到指定页面并写入历史记录，url 可用于同时改变地址（如去掉分享链接）
+    go(name, { replace = false, url = window.location.href } = {}) {
+        if (!this.screens.has(name)) {
+            throw new Error(`(未知的页面: ${name}) | Unknown screen: ${name}`);
+        }
+        const state = { screen: name };
+        if (replace) {
+            history.replaceState(state, '', url);
+        } else {
+            history.pushState(state, '', url);
+        }
+        this.show(name);
+    },
+
+    // 只切换显示，不改动历史记录
+    show(name) {
+        const previous = this.screens.get(this.current);
+        if (previous && this.current !== name && previous.onLeave) {
+            previous.onLeave();
+        }
+        this.screens.forEach((screen, screenName) => {
+            screen.element.style.display = screenName === name ? screen.display : 'none';
+        });
+        this.current = name;
+        const screen = this.screens.get(name);
+        if (screen.onEnter) {
+            screen.onEnter();
+        }
+        // 把焦点移到新页面，方便键盘和读屏用户继续操作
+        if (screen.focus) {
+            screen.focus.focus({ preventScroll: true });
+        }
+        logger.info(`(已切换到页面: ${name}) | Switched to screen: ${name}`);
+    }
+};
+
+// 离线支持：注册 Service Worker 并让它缓存用户选择的语言 | Offline support: registers the service worker and has it cache the chosen locale
+const offline = {
+    scriptUrl: 'sw.js',
+
+    supported() {
+        // Service Worker 只能在 HTTPS 或 localhost 下使用
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    },
+
+    async register() {
+        if (!this.supported()) {
+            logger.info('(当前环境不支持 Service Worker，跳过离线缓存) | Service workers are not available here, skipping offline caching');
+            return;
+        }
+        try {
+            const registration = await navigator.serviceWorker.register(this.scriptUrl);
+            logger.info(`(Service Worker 注册成功，作用域: ${registration.scope}) | Service worker registered with scope: ${registration.scope}`);
+        } catch (error) {
+            logger.warn(`(Service Worker 注册失败: ${error.message}) | Service worker registration failed: ${error.message}`);
+        }
+    },
+
+    // 请求 Service Worker 缓存某个语言文件 | Ask the service worker to cache a locale file
+    async cacheLocale(lang) {
+        // 伪本地化语言没有对应的文件
+        if (!this.supported() || !Object.hasOwn(i18n.languages, lang)) return;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.active) {
+                registration.active.postMessage({ type: 'cacheLocale', url: i18n.getLocaleUrl(lang) });
+                logger.debug(`(已请求离线缓存语言: ${lang}) | Requested offline caching for language: ${lang}`);
+            }
+        } catch (error) {
+            logger.warn(`(请求离线缓存语言失败: ${error.message}) | Failed to request offline caching for the language: ${error.message}`);
+        }
+    }
+};
+
+// 名字：按字素（用户看到的一个字符）计数，表情和组合字符不会被截成两半 | Names: counted in grapheme clusters so emoji and combining marks are never cut in half
+const names = {
+    maxGraphemes: 20,
+    maxGraphemeCodePoints: 10, // 单个字素的码点上限；最长的标准表情（带肤色的亲吻）正好 10 个，叠满组合符号的字素会被拒绝
+    segmenter: typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null,
+    // 控制字符、零宽空格和双向文本覆盖字符；保留表情需要的 ZWJ 和波斯语等需要的 ZWNJ
+    invisibleChars: /[\u0000-\u001F\u007F-\u009F\u200B\u200E\u200F\u202A-\u202E\u2060\u2066-\u2069\uFEFF]/g,
+
+    // 统一为 NFC，去掉不可见字符，合并连续空白并去掉首尾空白
+    normalize(value) {
+        return String(value || '')
+            .normalize('NFC')
+            .replace(this.invisibleChars, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    // 拆分为字素，不支持 Intl.Segmenter 时退回到按码点拆分
+    graphemes(value) {
+        return this.segmenter
+            ? Array.from(this.segmenter.segment(value), (part) => part.segment)
+            : Array.from(value);
+    },
+
+    count(value) {
+        return this.graphemes(value).length;
+    },
+
+    truncate(value, max = this.maxGraphemes) {
+        return this.graphemes(value).slice(0, max).join('');
+    },
+
+    // 是否有字素超过码点上限，分享链接按这个上限计算最大长度
+    hasOverlongGrapheme(value) {
+        return this.graphemes(value).some((grapheme) => Array.from(grapheme).length > this.maxGraphemeCodePoints);
+    },
+
+    // 校验规范化后的名字，返回错误信息的翻译键，合法时返回 null
+    validate(value, { required = true } = {}) {
+        if (!value) {
+            return required ? 'nameRequired' : null;
+        }
+        if (this.count(value) > this.maxGraphemes) {
+            return 'nameTooLong';
+        }
+        if (this.hasOverlongGrapheme(value)) {
+            return 'graphemeTooLong';
+        }
+        return null;
+    }
+};
+
+// 分享链接错误，reason 对应界面提示 | Share link error, reason maps to a UI message
+class ShareLinkError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ShareLinkError';
+        this.reason = reason;
+    }
+}
+
+// 分享链接：把表白内容编码进 URL hash，收件人打开即可直接看到表白 | Share link: encode the confession into the URL hash so the recipient lands straight on it
+const shareLink = {
+    hashKey: 'love', // hash 参数名，如 #love=xxxx
+    version: 1, // 载荷格式版本
+    // 各字段的最大长度，名字按字素计数
+    limits: {
+        to: names.maxGraphemes,
+        from: names.maxGraphemes,
+        lang: 16,
+        q: 200,
+        m: 300,
+        sc: 32,
+        nb: 32,
+        th: 32
+    },
+    requiredFields: ['to', 'from', 'lang'],
+    nameFields: ['to', 'from'],
+    activityLimits: { count: 5, length: 40 }, // 约会活动的数量和每项长度上限
+
+    // 编码后的最大长度，超出则拒绝；由各字段上限按最坏情况推算，表单允许的任何输入都不会被拒绝：
+    // 按字素计数的字段每个字素最多 maxGraphemeCodePoints 个码点、每个码点 4 个 UTF-8 字节，
+    // 其余字段按 UTF-16 码元计数，每个码元最多 6 个字节（JSON 转义成 \uXXXX）
+    get maxEncodedLength() {
+        const { count, length } = this.activityLimits;
+        const graphemeBytes = names.maxGraphemeCodePoints * 4;
+        const jsonBytes = Object.entries(this.limits).reduce(
+            (sum, [field, limit]) => sum + limit * (this.nameFields.includes(field) ? graphemeBytes : 6),
+            count * length * graphemeBytes + 256 // 256 字节留给键名、引号和逗号
+        );
+        return Math.ceil(jsonBytes / 3) * 4; // base64 每 3 个字节编码为 4 个字符
+    },
+
+    // 生成完整的分享链接
+    build({ recipient, sender, lang, questionTemplate, loveMessage, scenario, noBehavior, theme, activities }) {
+        const payload = { v: this.version, to: recipient, from: sender, lang };
+        if (questionTemplate) payload.q = questionTemplate;
+        if (loveMessage) payload.m = loveMessage;
+        if (scenario) payload.sc = scenario;
+        if (noBehavior) payload.nb = noBehavior;
+        if (theme) payload.th = theme;
+        if (activities && activities.length) payload.act = activities;
+        this.validate(payload);
+
+        const encoded = this.encode(payload);
+        if (encoded.length > this.maxEncodedLength) {
+            throw new ShareLinkError('tooLarge', `(分享链接过长: ${encoded.length}) | Share link is too large: ${encoded.length}`);
+        }
+
+        const url = new URL(window.location.href);
+        url.hash = `${this.hashKey}=${encoded}`;
+        return url.toString();
+    },
+
+    // 从当前地址解析分享链接，没有链接时返回 null，无效链接会抛出 ShareLinkError
+    parse(hash = window.location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const encoded = params.get(this.hashKey);
+        if (encoded === null) {
+            return null;
+        }
+        if (encoded.length > this.maxEncodedLength) {
+            throw new ShareLinkError('tooLarge', `(分享链接过长: ${encoded.length}) | Share link is too large: ${encoded.length}`);
+        }
+
+        let payload;
+        try {
+            payload = this.decode(encoded);
+        } catch (error) {
+            throw new ShareLinkError('malformed', `(分享链接无法解码: ${error.message}) | Share link could not be decoded: ${error.message}`);
+        }
+        this.validate(payload);
+
+        return {
+            recipient: names.normalize(payload.to),
+            sender: names.normalize(payload.from),
+            lang: payload.lang,
+            questionTemplate: payload.q || '',
+            loveMessage: payload.m || '',
+            scenario: payload.sc || '',
+            noBehavior: payload.nb || '',
+            theme: payload.th || '',
+            activities: (payload.act || []).map((activity) => names.normalize(activity))
+        };
+    },
+
+    // 校验载荷字段是否齐全、类型和长度是否合法
+    validate(payload) {
+        if (!payload || typeof payload !== 'object' || payload.v !== this.version) {
+            throw new ShareLinkError('malformed', '(分享链接格式不正确) | Share link payload is malformed');
+        }
+        for (const field of this.requiredFields) {
+            if (typeof payload[field] !== 'string' || !payload[field].trim()) {
+                throw new ShareLinkError('missingField', `(分享链接缺少字段: ${field}) | Share link is missing field: ${field}`);
+            }
+        }
+        for (const [field, limit] of Object.entries(this.limits)) {
+            const value = payload[field];
+            if (value === undefined) continue;
+            if (typeof value !== 'string' || (this.nameFields.includes(field) ? names.count(value) : value.length) > limit) {
+                throw new ShareLinkError('tooLarge', `(分享链接字段过长: ${field}) | Share link field is too large: ${field}`);
+            }
+            if (this.nameFields.includes(field) && names.hasOverlongGrapheme(value)) {
+                throw new ShareLinkError('overlongGrapheme', `(分享链接字段中有过长的字素: ${field}) | Share link field has an overlong grapheme: ${field}`);
+            }
+        }
+        if (payload.act !== undefined) {
+            const { count, length } = this.activityLimits;
+            if (!Array.isArray(payload.act) || payload.act.some((activity) => typeof activity !== 'string' || !activity.trim())) {
+                throw new ShareLinkError('malformed', '(分享链接中的约会活动格式不正确) | Share link date activities are malformed');
+            }
+            if (payload.act.length > count || payload.act.some((activity) => names.count(activity) > length)) {
+                throw new ShareLinkError('tooLarge', '(分享链接中的约会活动过多或过长) | Share link has too many or too long date activities');
+            }
+            if (payload.act.some((activity) => names.hasOverlongGrapheme(activity))) {
+                throw new ShareLinkError('overlongGrapheme', '(分享链接中的约会活动有过长的字素) | Share link date activities have an overlong grapheme');
+            }
+        }
+    },
+
+    // JSON -> UTF-8 -> base64url
+    encode(payload) {
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        let binary = '';
+        bytes.forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    // base64url -> UTF-8 -> JSON
+    decode(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+};
+
+// 复制文本到剪贴板 | Copy text to the clipboard
+async function copyToClipboard(text, fallbackInput) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    // 不支持 Clipboard API 时退回到选中输入框并执行复制命令
+    fallbackInput.value = text;
+    fallbackInput.select();
+    if (!document.execCommand('copy')) {
+        throw new Error('(复制命令执行失败) | Copy command failed');
+    }
+}
+
+// 初始化链接生成器 | Initialize the share link builder
+function initLinkBuilder() {
+    logger.info('(开始初始化链接生成器) | Starting to initialize the link builder');
+    const container = document.getElementById('nameInputContainer');
+    const toggle = document.getElementById('linkBuilderToggle');
+    const output = document.getElementById('builderOutput');
+    const status = document.getElementById('linkBuilderStatus');
+    const fields = {
+        recipient: document.getElementById('builderRecipient'),
+        sender: document.getElementById('builderSender'),
+        questionTemplate: document.getElementById('builderQuestion'),
+        loveMessage: document.getElementById('builderMessage'),
+        scenario: document.getElementById('builderScenario'),
+        noBehavior: document.getElementById('builderNoBehavior'),
+        activities: document.getElementById('builderActivities')
+    };
+    const statusKeys = {
+        missingField: 'linkMissingFields',
+        tooLarge: 'linkTooLong',
+        overlongGrapheme: 'graphemeTooLong',
+        malformed: 'linkMissingFields'
+    };
+
+    // 填充剧本选项，默认选中当前剧本
+    for (const [name, data] of Object.entries(scenarios.list)) {
+        const option = new Option(data.label, name);
+        option.selected = name === scenarios.currentName;
+        fields.scenario.appendChild(option);
+    }
+    // 填充 No 按钮躲避方式选项，文字随语言切换
+    for (const name of Object.keys(noBehaviors.modes)) {
+        const option = new Option(i18n.t(`noBehaviors.${name}`), name);
+        option.setAttribute('data-i18n', `noBehaviors.${name}`);
+        option.selected = name === noBehaviors.currentName;
+        fields.noBehavior.appendChild(option);
+    }
+
+    // 切换普通模式和生成器模式
+    toggle.addEventListener('click', () => {
+        const builderMode = container.classList.toggle('builder-mode');
+        const key = builderMode ? 'linkBuilderClose' : 'linkBuilderToggle';
+        toggle.setAttribute('data-i18n', key);
+        toggle.textContent = i18n.t(key);
+        logger.info(`(链接生成器模式: ${builderMode}) | Link builder mode: ${builderMode}`);
+    });
+
+    document.getElementById('copyLinkButton').addEventListener('click', async () => {
+        let link;
+        try {
+            link = shareLink.build({
+                recipient: names.normalize(fields.recipient.value),
+                sender: names.normalize(fields.sender.value),
+                lang: i18n.currentLang,
+                questionTemplate: fields.questionTemplate.value.trim(),
+                loveMessage: fields.loveMessage.value.trim(),
+                scenario: fields.scenario.value,
+                noBehavior: fields.noBehavior.value,
+                // 链接保留发送人当前使用的主题
+                theme: themes.currentName,
+                // 每行一个约会活动
+                activities: fields.activities.value.split('\n').map((line) => names.normalize(line)).filter(Boolean)
+            });
+        } catch (error) {
+            logger.warn(error.message);
+            status.textContent = i18n.t(statusKeys[error.reason] || 'linkMissingFields');
+            return;
+        }
+
+        output.value = link;
+        try {
+            await copyToClipboard(link, output);
+            status.textContent = i18n.t('linkCopied');
+            logger.info('(分享链接已复制) | Share link copied');
+        } catch (error) {
+            logger.warn(`(复制分享链接失败: ${error.message}) | Failed to copy share link: ${error.message}`);
+            output.select();
+            status.textContent = i18n.t('linkCopyFailed');
+        }
+    });
+    logger.info('(链接生成器初始化完成) | Link builder initialization completed');
+}
+
+// 初始化约会安排：表白成功后选择日期、时间和活动，导出日历事件 | Initialize the date planner: after Yes, pick a date, time and activity and export a calendar event
+function initDatePlanner({ getConfession }) {
+    logger.info('(开始初始化约会安排) | Starting to initialize the date planner');
+    const toggle = document.getElementById('planDateButton');
+    const form = document.getElementById('datePlanner');
+    const status = document.getElementById('plannerStatus');
+    const fields = {
+        date: document.getElementById('plannerDate'),
+        time: document.getElementById('plannerTime'),
+        activity: document.getElementById('plannerActivity'),
+        custom: document.getElementById('plannerCustom'),
+        customLabel: document.querySelector('label[for="plannerCustom"]')
+    };
+    const presetActivities = ['dinner', 'movie', 'walk', 'coffee'];
+    let senderActivities = [];
+
+    // 最早只能选今天（本地日期）
+    const today = new Date();
+    fields.date.min = [
+        today.getFullYear(),
+        String(today.getMonth() + 1).padStart(2, '0'),
+        String(today.getDate()).padStart(2, '0')
+    ].join('-');
+
+    // 选择“其他”时显示自定义输入框
+    const updateCustomField = () => {
+        const custom = fields.activity.value === 'custom';
+        fields.custom.hidden = !custom;
+        fields.customLabel.hidden = !custom;
+    };
+
+    // 有发送人预设的活动时使用它们，否则使用内置活动，最后总有“其他”
+    const renderActivities = () => {
+        fields.activity.replaceChildren();
+        if (senderActivities.length) {
+            senderActivities.forEach((activity, index) => {
+                fields.activity.appendChild(new Option(activity, `sender:${index}`));
+            });
+        } else {
+            presetActivities.forEach((name) => {
+                const option = new Option(i18n.t(`planner.activities.${name}`), `preset:${name}`);
+                option.setAttribute('data-i18n', `planner.activities.${name}`);
+                fields.activity.appendChild(option);
+            });
+        }
+        const customOption = new Option(i18n.t('planner.customOption'), 'custom');
+        customOption.setAttribute('data-i18n', 'planner.customOption');
+        fields.activity.appendChild(customOption);
+        updateCustomField();
+    };
+
+    // 当前选择的活动文字，内置活动按当前语言翻译
+    const selectedActivity = () => {
+        const [kind, key] = fields.activity.value.split(':');
+        if (kind === 'sender') return senderActivities[Number(key)] || '';
+        if (kind === 'preset') return i18n.t(`planner.activities.${key}`);
+        return names.normalize(fields.custom.value);
+    };
+
+    fields.activity.addEventListener('change', updateCustomField);
+
+    toggle.addEventListener('click', () => {
+        form.hidden = !form.hidden;
+        toggle.setAttribute('aria-expanded', String(!form.hidden));
+        if (!form.hidden) {
+            fields.date.focus();
+        }
+        logger.info(`(约会安排表单展开: ${!form.hidden}) | Date planner expanded: ${!form.hidden}`);
+    });
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const activity = selectedActivity();
+        const start = new Date(`${fields.date.value}T${fields.time.value}`);
+        if (!fields.date.value || !fields.time.value || !activity || Number.isNaN(start.getTime())) {
+            status.textContent = i18n.t('planner.missing');
+            return;
+        }
+
+        const { username } = getConfession();
+        const ics = calendar.createEvent({
+            title: i18n.t('planner.eventTitle', { activity }),
+            description: i18n.t('planner.eventDescription', { username }),
+            start
+        });
+        downloadBlob(new Blob([ics], { type: 'text/calendar;charset=utf-8' }), `tang-love-date-${fields.date.value}.ics`);
+
+        status.textContent = i18n.t('planner.summary', {
+            activity,
+            date: new Intl.DateTimeFormat(i18n.currentLang, { dateStyle: 'full' }).format(start),
+            time: new Intl.DateTimeFormat(i18n.currentLang, { timeStyle: 'short' }).format(start)
+        });
+        events.emit('datePlanned', { activity, start: start.toISOString() });
+        logger.info(`(已导出约会日历事件: ${start.toISOString()}) | Exported the date as a calendar event: ${start.toISOString()}`);
+    });
+
+    logger.info('(约会安排初始化完成) | Date planner initialization completed');
+    return {
+        // 进入表白成功页面时收起表单并换上发送人预设的活动
+        reset(activities = []) {
+            senderActivities = activities;
+            form.hidden = true;
+            toggle.setAttribute('aria-expanded', 'false');
+            status.textContent = '';
+            fields.custom.value = '';
+            renderActivities();
+        }
+    };
+}
+
+// 初始化语言选择器 | Initialize the language selector
+async function initLanguageSwitcher() {
+    logger.info('(开始初始化语言选择器) | Starting to initialize the language selector');
+    const select = document.getElementById('languageSelect');
+
+    // 与 i18n.init 使用同一份语言列表和协商结果
+    for (const [code, data] of Object.entries(i18n.languages)) {
+        const option = new Option(data.label, code);
+        option.selected = code === i18n.currentLang;
+        select.appendChild(option);
+        logger.debug(`(已添加语言选项: ${code} - ${data.label}) | Added language option: ${code} - ${data.label}`);
+    }
+
+    select.addEventListener('change', async (e) => {
+        const langCode = e.target.value;
+        logger.info(`(用户选择了语言: ${langCode}) | User selected the language: ${langCode}`);
+        try {
+            await i18n.switchLanguage(langCode);
+        } catch (error) {
+            // 加载失败时选择器回到仍在使用的语言
+            select.value = i18n.currentLang;
+        }
+    });
+    logger.info('(语言选择器初始化完成) | Language selector initialization completed');
+}
+
+// 初始化主题选择器 | Initialize the theme selector
+function initThemeSwitcher() {
+    logger.info('(开始初始化主题选择器) | Starting to initialize the theme selector');
+    const select = document.getElementById('themeSelect');
+
+    for (const [name, data] of Object.entries(themes.list)) {
+        const option = new Option(data.label, name);
+        option.selected = name === themes.currentName;
+        select.appendChild(option);
+    }
+    // 主题清单加载失败时隐藏选择器
+    select.hidden = !select.options.length;
+
+    select.addEventListener('change', async (e) => {
+        const name = e.target.value;
+        logger.info(`(用户选择了主题: ${name}) | User selected the theme: ${name}`);
+        try {
+            await themes.select(name);
+        } catch (error) {
+            logger.warn(`(切换主题失败: ${error.message}) | Failed to switch the theme: ${error.message}`);
+            select.value = themes.currentName;
+        }
+    });
+    logger.info('(主题选择器初始化完成) | Theme selector initialization completed');
+}
+
+// 初始化诊断按钮：只在调试模式下显示，复制失败时下载为文件 | Initialize the diagnostics button: shown only in debug mode, downloads a file when copying fails
+function initDiagnostics() {
+    const button = document.getElementById('copyDiagnosticsButton');
+    button.hidden = !logger.enabled();
+    if (button.hidden) return;
+
+    button.addEventListener('click', async () => {
+        const text = JSON.stringify(logger.collectDiagnostics(), null, 2);
+        const fallbackInput = document.createElement('textarea');
+        fallbackInput.className = 'visually-hidden';
+        document.body.appendChild(fallbackInput);
+        try {
+            await copyToClipboard(text, fallbackInput);
+            announce(i18n.t('diagnosticsCopied'));
+        } catch (error) {
+            logger.warn(`(复制诊断信息失败: ${error.message}) | Failed to copy diagnostics: ${error.message}`);
+            downloadBlob(new Blob([text], { type: 'application/json' }), 'tang-love-diagnostics.json');
+            announce(i18n.t('diagnosticsDownloaded'));
+        } finally {
+            fallbackInput.remove();
+        }
+    });
+}
+
+// 初始化翻译编辑器：开启编辑后点击带翻译的元素即可修改文字 | Initialize the translation editor: with editing on, clicking a translated element edits its text
+function initTranslator() {
+    const panel = document.getElementById('translatorPanel');
+    panel.hidden = !translator.enabled();
+    if (panel.hidden) return;
+    logger.info('(开始初始化翻译编辑器) | Starting to initialize the translation editor');
+
+    const editMode = document.getElementById('translatorEditMode');
+    const count = document.getElementById('translatorCount');
+    const editor = document.getElementById('translatorEditor');
+    const keyLabel = document.getElementById('translatorKey');
+    const reference = document.getElementById('translatorReference');
+    const input = document.getElementById('translatorText');
+    const error = document.getElementById('translatorError');
+    let editingKey = '';
+
+    // 语言选择器中加入伪本地化语言
+    document.getElementById('languageSelect').appendChild(new Option(translator.pseudoLabel, i18n.pseudoLang));
+    // 英文是占位符校验的参照
+    i18n.fetchTranslations(i18n.defaultLang).catch((loadError) => {
+        logger.warn(`(加载参照语言失败: ${loadError.message}) | Failed to load the reference language: ${loadError.message}`);
+    });
+
+    const showCount = () => {
+        count.textContent = i18n.t('translator.editCount', { count: Object.keys(translator.getEdits(i18n.currentLang)).length });
+    };
+    const closeEditor = () => {
+        editor.hidden = true;
+        editingKey = '';
+    };
+    const applyEdits = () => {
+        i18n.applyTranslations();
+        showCount();
+    };
+
+    // 捕获阶段拦截点击，编辑模式下按钮等元素不会执行原本的操作
+    document.addEventListener('click', (event) => {
+        if (!editMode.checked || panel.contains(event.target)) return;
+        const element = event.target.closest('[data-i18n-edit], [data-i18n]');
+        if (!element) return;
+        const key = element.getAttribute('data-i18n-edit') || element.getAttribute('data-i18n');
+        if (typeof i18n.resolve(key) !== 'string') return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        editingKey = key;
+        keyLabel.textContent = key;
+        const referenceText = i18n.resolve(key, i18n.cache.get(i18n.defaultLang) || {});
+        reference.textContent = typeof referenceText === 'string' ? i18n.t('translator.reference', { text: referenceText }) : '';
+        input.value = i18n.resolve(key);
+        error.hidden = true;
+        editor.hidden = false;
+        input.focus();
+    }, true);
+
+    panel.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (!editingKey) return;
+        const problem = translator.validate(editingKey, input.value);
+        if (problem) {
+            error.textContent = i18n.t(problem.key, problem.data);
+            error.hidden = false;
+            input.focus();
+            return;
+        }
+        translator.setEdit(i18n.currentLang, editingKey, input.value);
+        logger.info(`(已修改翻译: ${i18n.currentLang} ${editingKey}) | Edited the translation: ${i18n.currentLang} ${editingKey}`);
+        closeEditor();
+        applyEdits();
+    });
+
+    document.getElementById('translatorRevert').addEventListener('click', () => {
+        translator.removeEdit(i18n.currentLang, editingKey);
+        closeEditor();
+        applyEdits();
+    });
+    document.getElementById('translatorClose').addEventListener('click', closeEditor);
+
+    document.getElementById('translatorExport').addEventListener('click', () => {
+        translator.exportLocale(i18n.currentLang);
+    });
+    document.getElementById('translatorReset').addEventListener('click', () => {
+        translator.saveEdits(i18n.currentLang, {});
+        closeEditor();
+        applyEdits();
+    });
+
+    // 每种语言的修改分开保存
+    events.on('languageChanged', () => {
+        closeEditor();
+        showCount();
+    });
+    showCount();
+}
+
+// 页面加载完成后执行初始化操作 | Perform initialization operations after the page is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    // 最先读取调试开关，后续日志按级别输出 | Read the debug flag first so later logs follow the chosen level
+    logger.init();
+    logger.info('(页面加载完成，开始初始化操作) | Page loaded, starting initialization operations');
+    // 初始化完成前保持加载层 | Keep the loading layer up until initialization finishes
+    loader.start('page');
+    // 注册插件并连接父页面，初始化过程中的事件也能收到 | Register plugins and connect to the parent page so events during initialization are delivered too
+    events.registerQueuedPlugins();
+    embed.init();
+    // 解析分享链接，无效链接只提示不中断 | Parse the share link; an invalid link only shows a notice
+    let sharedConfession = null;
+    let shareLinkError = null;
+    try {
+        sharedConfession = shareLink.parse();
+    } catch (error) {
+        shareLinkError = error;
+        logger.warn(error.message);
+    }
+    // 应用主题：分享链接 > ?theme= 参数 > 用户上次的选择 | Apply the theme: share link > ?theme= > the user's last choice
+    const urlTheme = new URLSearchParams(window.location.search).get('theme');
+    await themes.init((sharedConfession && sharedConfession.theme) || urlTheme);
+    // 初始化语言环境
+    await i18n.init(sharedConfession && sharedConfession.lang);
+    // 初始化语言选择器
+    await initLanguageSwitcher();
+    // 初始化主题选择器
+    initThemeSwitcher();
+    // 调试模式下显示诊断按钮 | Show the diagnostics button in debug mode
+    initDiagnostics();
+    // ?translate=1 时显示翻译编辑器 | Show the translation editor with ?translate=1
+    initTranslator();
+    // 初始化音效开关 | Initialize the sound toggle
+    sound.init();
+    // 加载反应剧本，分享链接中的剧本优先于 ?scenario= 参数 | Load the reaction scenario; the share link wins over ?scenario=
+    const urlScenario = new URLSearchParams(window.location.search).get('scenario');
+    await scenarios.init((sharedConfession && sharedConfession.scenario) || urlScenario);
+    // 选择 No 按钮躲避方式：分享链接 > ?no= 参数 > 剧本配置 | Pick the No-button behavior: share link > ?no= > scenario config
+    const urlNoBehavior = new URLSearchParams(window.location.search).get('no');
+    noBehaviors.select((sharedConfession && sharedConfession.noBehavior) || urlNoBehavior || scenarios.current.noBehavior);
+    // 选择庆祝特效：?effect= 参数 > 剧本配置 | Pick the celebration effect: ?effect= > scenario config
+    celebration.select(new URLSearchParams(window.location.search).get('effect') || scenarios.current.effect);
+    // 预加载剧本中的表情图片和拥抱图片，显示表白问题前等待它们 | Preload the scenario reaction images and the hug image; the question screen waits for them
+    const preloadScenarioImages = () => loader.preloadImages('images', [
+        ...scenarios.current.stages.map((stage) => stage.image),
+        'assets/images/hug.webp'
+    ]);
+    let imagesReady = preloadScenarioImages();
+    // 初始化链接生成器
+    initLinkBuilder();
+
+    // 获取元素引用 | Get elements
+    const elements = {
+        nameInput: document.getElementById('usernameInput'),
+        senderInput: document.getElementById('senderInput'),
+        nameError: document.getElementById('nameError'),
+        confirmButton: document.getElementById('confirmNameButton'),
+        questionText: document.getElementById('question'),
+        yesButton: document.getElementById('yes'),
+        noButton: document.getElementById('no'),
+        nameInputContainer: document.getElementById('nameInputContainer'),
+        confessionContainer: document.getElementById('confessionContainer'),
+        mainImage: document.getElementById('mainImage'),
+        yesScreen: document.getElementById('yesScreen'),
+        yesText: document.getElementById('yesText'),
+        yesCount: document.getElementById('yesCount'),
+        restartButton: document.getElementById('restartButton'),
+        saveCardButton: document.getElementById('saveCardButton'),
+        cardStatus: document.getElementById('cardStatus'),
+        linkBuilderToggle: document.getElementById('linkBuilderToggle')
+    };
+    logger.info('(已获取页面元素引用) | Successfully obtained references to page elements', elements);
+
+    // 当前表白内容，分享链接可以自定义问题和告白语 | Current confession; a share link may customize the question and love message
+    const confession = {
+        username: '',
+        sender: '',
+        questionTemplate: '',
+        loveMessage: '',
+        activities: [] // 发送人预设的约会活动
+    };
+    let clickCount = 0; // 记录点击 No 的次数 | Record the number of clicks on the No button
+    // 表白成功后的约会安排 | Date planning after Yes
+    const datePlanner = initDatePlanner({ getConfession: () => confession });
+
+    // 渲染表白问题 | Render the confession question
+    const renderQuestion = () => {
+        // 以纯文本插入，避免名字或自定义文案被当作 HTML 执行 | Insert as plain text so names and custom text are never parsed as HTML
+        i18n.setText(elements.questionText, i18n.template(
+            confession.questionTemplate || i18n.translations.questionTemplate,
+            { username: confession.username, sender: confession.sender }
+        ));
+        logger.info('(已将用户名插入到表白问题中) | Inserted the username into the confession question');
+    };
+
+    // 渲染表白成功信息 | Render the successful confession message
+    const renderAccepted = () => {
+        const message = i18n.template(
+            confession.loveMessage || i18n.translations.loveMessage,
+            { username: confession.username, sender: confession.sender }
+        );
+        i18n.setText(elements.yesText, message);
+        logger.info('(已将用户名插入到表白成功信息中) | Inserted the username into the successful confession message');
+        // 显示拒绝了几次 | Show how many times No was clicked
+        elements.yesCount.textContent = i18n.t('noCountSummary', { count: clickCount });
+        return `${message.replace(/\n/g, ' ')} ${elements.yesCount.textContent}`;
+    };
+
+    // 更新反应图片及其翻译后的替代文本 | Update the reaction image and its translated alt text
+    const setReactionImage = (src, altKey) => {
+        const key = altKey || `imageAlt.${src.split('/').pop().replace(/\.\w+$/, '')}`;
+        elements.mainImage.src = src;
+        elements.mainImage.setAttribute('data-i18n-attr', `alt:${key}`);
+        elements.mainImage.alt = i18n.t(key);
+        return elements.mainImage.alt;
+    };
+
+    // 撤销 No 按钮带来的所有变化 | Undo every change the No handler applied
+    const resetReactions = () => {
+        clickCount = 0;
+        [elements.yesButton, elements.mainImage, elements.questionText].forEach((element) => {
+            element.style.transform = '';
+        });
+        noBehaviors.reset(elements);
+        elements.yesButton.removeAttribute('data-emphasis');
+        elements.noButton.textContent = i18n.t('noButton');
+        elements.noButton.removeAttribute('data-i18n-edit');
+        setReactionImage('assets/images/heart.webp');
+        logger.info('(已重置点击次数和按钮变化) | Reset the click count and button changes');
+    };
+
+    // 注册三个页面 | Register the three screens
+    router.register('name', elements.nameInputContainer, { focus: elements.nameInput });
+    // 没有名字时（如重新开始后按返回）不能进入问题和表白成功页面 | The question and accepted screens need a name, e.g. not after Restart then Back
+    const hasConfession = () => Boolean(confession.username);
+    router.register('question', elements.confessionContainer, {
+        focus: elements.questionText,
+        canEnter: hasConfession,
+        onEnter: () => {
+            renderQuestion();
+            // 给按钮容器重新播放动画 | Replay the animation of the button container
+            const buttons = elements.confessionContainer.querySelector('.buttons');
+            buttons.classList.remove('slide-up-fade-in');
+            void buttons.offsetWidth;
+            buttons.classList.add('slide-up-fade-in');
+            logger.info('(已为按钮容器添加动画效果) | Added animation effect to the button container');
+        }
+    });
+    router.register('accepted', elements.yesScreen, {
+        display: 'flex',
+        focus: elements.yesText,
+        canEnter: hasConfession,
+        onEnter: () => {
+            announce(renderAccepted());
+            datePlanner.reset(confession.activities);
+            // 禁止滚动，保持页面美观 | Disable scrolling to keep the page beautiful
+            document.body.style.overflow = 'hidden';
+            // 给表白成功页面添加慢慢浮现动画类名 | Add a fade-in animation class name to the successful confession page
+            elements.yesScreen.classList.add('fade-in');
+        },
+        onLeave: () => {
+            celebration.stop();
+            elements.cardStatus.textContent = '';
+            document.body.style.overflow = '';
+            elements.yesScreen.classList.remove('fade-in');
+        }
+    });
+
+    if (sharedConfession) {
+        // 通过分享链接打开时跳过输入名字步骤 | Skip the name step when opened from a share link
+        logger.info('(通过分享链接打开) | Opened from a share link');
+        Object.assign(confession, {
+            username: sharedConfession.recipient,
+            sender: sharedConfession.sender,
+            questionTemplate: sharedConfession.questionTemplate,
+            loveMessage: sharedConfession.loveMessage,
+            activities: sharedConfession.activities
+        });
+        await loader.waitFor('images', imagesReady);
+        router.start('question');
+    } else {
+        if (shareLinkError) {
+            const notice = document.getElementById('linkNotice');
+            notice.textContent = i18n.t('linkInvalid');
+            notice.hidden = false;
+        }
+        router.start('name');
+    }
+    loader.finish('page');
+
+    // 校验名字和发送人，在输入框下方显示第一条错误，返回出错的输入框 | Validate the name and sender, show the first error below the inputs and return the failing input
+    const validateNameFields = ({ requireName }) => {
+        const checks = [
+            [elements.nameInput, names.validate(names.normalize(elements.nameInput.value), { required: requireName })],
+            [elements.senderInput, names.validate(names.normalize(elements.senderInput.value), { required: false })]
+        ];
+        const failed = checks.find(([, errorKey]) => errorKey);
+        checks.forEach(([input]) => input.removeAttribute('aria-invalid'));
+        elements.nameError.hidden = !failed;
+        elements.nameError.textContent = failed ? i18n.t(failed[1], { max: names.maxGraphemes }) : '';
+        if (failed) {
+            failed[0].setAttribute('aria-invalid', 'true');
+        }
+        return failed ? failed[0] : null;
+    };
+    // 输入时只提示过长，不催促还没填写的名字 | While typing only warn about length, never nag about an empty name
+    [elements.nameInput, elements.senderInput].forEach((input) => {
+        input.addEventListener('input', () => validateNameFields({ requireName: false }));
+    });
+    // 切换语言后用新语言重新显示提示 | Re-show the message in the new language after switching
+    events.on('languageChanged', () => {
+        if (!elements.nameError.hidden) {
+            validateNameFields({ requireName: !elements.nameInput.value.trim() });
+        }
+    });
+    // 翻译应用后（切换语言、后台刷新、译者修改）重新渲染带名字的问题、当前阶段的 No 按钮文字和表白成功信息 | After translations are applied (language switch, background refresh, translator edit), re-render the personalized question, the current No stage text and the accepted message
+    const refreshScreenText = () => {
+        if (router.current === 'question') {
+            renderQuestion();
+            const noKey = elements.noButton.getAttribute('data-i18n-edit');
+            if (noKey) {
+                elements.noButton.textContent = i18n.t(noKey);
+            }
+        } else if (router.current === 'accepted') {
+            renderAccepted();
+        }
+    };
+    events.on('translationsApplied', refreshScreenText);
+
+    // 确认按钮事件  | Event of button
+    elements.confirmButton.addEventListener('click', async () => {
+        logger.info('(用户点击了确认按钮) | User clicked the confirm button');
+        const invalidInput = validateNameFields({ requireName: true });
+        if (invalidInput) {
+            logger.info(`(名字校验未通过: ${elements.nameError.textContent}) | Name validation failed: ${elements.nameError.textContent}`);
+            invalidInput.focus();
+            return;
+        }
+        const username = names.normalize(elements.nameInput.value);
+        const sender = names.normalize(elements.senderInput.value);
+        // 返回修改名字后重新确认，上一位的点击次数和按钮变化不能带过来 | Confirming a different name after going Back must not carry over the previous clicks and button changes
+        if (username !== confession.username || sender !== confession.sender) {
+            resetReactions();
+        }
+        confession.username = username;
+        confession.sender = sender;
+        await loader.waitFor('images', imagesReady);
+        // 等待期间可能已经重复确认过 | The name may have been confirmed again while waiting
+        if (router.current !== 'name') return;
+        router.go('question');
+        events.emit('nameConfirmed', { username: confession.username, sender: confession.sender });
+    });
+
+    // 键盘操作：Enter 确认名字，Escape 清空输入或关闭链接生成器 | Keyboard: Enter confirms the name, Escape clears the input or closes the link builder
+    [elements.nameInput, elements.senderInput].forEach((input) => {
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.isComposing) {
+                event.preventDefault();
+                elements.confirmButton.click();
+            }
+        });
+    });
+    elements.nameInputContainer.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape') return;
+        if (elements.nameInputContainer.classList.contains('builder-mode')) {
+            elements.linkBuilderToggle.click();
+            elements.linkBuilderToggle.focus();
+        } else {
+            elements.nameInput.value = '';
+        }
+    });
+    // 在表白问题页面按 Escape 回到输入名字页面 | Escape on the question screen returns to name entry
+    elements.confessionContainer.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            router.go('name');
+        }
+    });
+
+    // 拒绝一次：按当前剧本播放下一阶段，并交给躲避方式移动 No 按钮 | One refusal: play the next scenario stage and let the behavior move the No button
+    const handleNoAttempt = () => {
+        clickCount++;
+        logger.info(`(用户点击了 No 按钮，点击次数: ${clickCount}) | User clicked the No button, click count: ${clickCount}`);
+        const { stage, index, forceYes } = scenarios.resolve(clickCount);
+        events.emit('noClicked', { clickCount, stage: forceYes ? null : index, image: forceYes ? null : stage.image });
+        // 阶段用完且剧本要求直接答应 | Stages ran out and the scenario forces Yes
+        if (forceYes) {
+            logger.info('(剧本阶段已用完，自动选择 Yes) | Scenario stages exhausted, choosing Yes automatically');
+            elements.yesButton.click();
+            return;
+        }
+        logger.info(`(播放剧本 ${scenarios.currentName} 第 ${index + 1} 阶段) | Playing stage ${index + 1} of scenario ${scenarios.currentName}`);
+        sound.playStage(stage, index);
+
+        if (motion.reduced()) {
+            // 减少动效：用逐级加深的高亮代替放大和位移 | Reduced motion: a stronger highlight replaces scaling and movement
+            elements.yesButton.setAttribute('data-emphasis', String(Math.min(index + 1, 5)));
+        } else {
+            // 放大 Yes 按钮 | Scale up the Yes button
+            const yesScale = (stage.yes && stage.yes.scale) || 1;
+            elements.yesButton.style.transform = `scale(${yesScale})`;
+            logger.info(`(将 Yes 按钮放大到 ${yesScale} 倍) | Scaled the Yes button to ${yesScale} times`);
+            // 移动图片和文字 | Move the image and text
+            const contentOffset = (stage.content && stage.content.offsetY) || 0;
+            elements.mainImage.style.transform = `translateY(${contentOffset}px)`;
+            elements.questionText.style.transform = `translateY(${contentOffset}px)`;
+            logger.info(`(将图片和文字纵向移动 ${contentOffset}px) | Moved the image and text vertically by ${contentOffset}px`);
+        }
+        // 更新 No 按钮文字 | Update the text of the No button
+        const noText = i18n.resolve(`noTexts.${stage.noText}`);
+        if (typeof noText === 'string') {
+            elements.noButton.textContent = noText;
+            // 翻译模式下点击按钮编辑的是当前显示的文字
+            elements.noButton.setAttribute('data-i18n-edit', `noTexts.${stage.noText}`);
+            logger.info(`(更新 No 按钮文字为: ${noText}) | Updated the text of the No button to: ${noText}`);
+        }
+        // 更新图片 | Update the image
+        const imageAlt = setReactionImage(stage.image, stage.alt);
+        logger.info(`(将主图片更新为: ${stage.image}) | Updated the main image to: ${stage.image}`);
+        // 播报新的文字和表情 | Announce the new text and reaction
+        announce([noText, imageAlt].filter((text) => typeof text === 'string' && text).join('. '));
+        // 移动 No 按钮，从右到左的语言中方向相反 | Move the No button; directions mirror in right-to-left locales
+        noBehaviors.apply({
+            elements,
+            stage,
+            clickCount,
+            direction: i18n.getDirection() === 'rtl' ? -1 : 1
+        });
+    };
+
+    // No 按钮点击事件 | No button click event
+    elements.noButton.addEventListener('click', handleNoAttempt);
+    noBehaviors.attach(elements, handleNoAttempt);
+
+    // Yes 按钮点击事件，进入表白成功页面 | Yes button click event, enter the successful confession page
+    elements.yesButton.addEventListener('click', function () {
+        logger.info('(用户点击了 Yes 按钮) | User clicked the Yes button');
+        router.go('accepted');
+        celebration.start(clickCount);
+        sound.play('yes');
+        events.emit('accepted', { clickCount, username: confession.username, sender: confession.sender });
+    });
+
+    // 保存纪念卡片 | Save the result card
+    elements.saveCardButton.addEventListener('click', async () => {
+        logger.info('(用户点击了保存卡片按钮) | User clicked the save card button');
+        elements.saveCardButton.disabled = true;
+        elements.cardStatus.textContent = '';
+        try {
+            const result = await resultCard.save({
+                message: i18n.template(
+                    confession.loveMessage || i18n.translations.loveMessage,
+                    { username: confession.username, sender: confession.sender }
+                ),
+                username: confession.username,
+                sender: confession.sender,
+                clickCount
+            });
+            if (result !== 'cancelled') {
+                elements.cardStatus.textContent = i18n.t('cardSaved');
+            }
+        } catch (error) {
+            logger.error(`(保存卡片失败: ${error.message}) | Failed to save the card: ${error.message}`, error);
+            elements.cardStatus.textContent = i18n.t('cardFailed');
+        } finally {
+            elements.saveCardButton.disabled = false;
+        }
+    });
+
+    // 重新开始：清空状态并回到输入名字页面，同时去掉地址中的分享链接 | Restart: clear the state and return to name entry, dropping any share link from the address
+    elements.restartButton.addEventListener('click', () => {
+        logger.info('(用户选择重新开始) | User chose to restart');
+        resetReactions();
+        Object.assign(confession, { username: '', sender: '', questionTemplate: '', loveMessage: '', activities: [] });
+        elements.nameInput.value = '';
+        validateNameFields({ requireName: false });
+        router.go('name', { url: window.location.pathname + window.location.search });
+    });
+
+    // 嵌入时接受父页面发来的名字、语言和剧本配置 | When embedded, accept name, language and scenario configuration from the parent page
+    embed.listen(async (config) => {
+        if (typeof config.lang === 'string') {
+            const lang = i18n.matchLanguage(config.lang);
+            if (lang) {
+                try {
+                    await i18n.switchLanguage(lang);
+                    document.getElementById('languageSelect').value = lang;
+                    // 保留问题中的名字和当前阶段的 No 按钮文字 | Keep the name in the question and the current No stage text
+                    refreshScreenText();
+                } catch (error) {
+                    logger.warn(`(父页面指定的语言 ${lang} 加载失败: ${error.message}) | Failed to load the language ${lang} requested by the parent page: ${error.message}`, error);
+                }
+            }
+        }
+        if (typeof config.scenario === 'string' && config.scenario !== scenarios.currentName) {
+            try {
+                await scenarios.load(config.scenario);
+                resetReactions();
+                imagesReady = preloadScenarioImages();
+            } catch (error) {
+                logger.warn(error.message);
+            }
+        }
+        if (typeof config.name === 'string') {
+            confession.username = names.truncate(names.normalize(config.name));
+            elements.nameInput.value = confession.username;
+            if (router.current === 'question') {
+                renderQuestion();
+            }
+        }
+    });
+
+    // 注册离线缓存并缓存当前语言 | Register offline caching and cache the current language
+    offline.register();
+    offline.cacheLocale(i18n.currentLang);
 });
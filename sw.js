@@ -0,0 +1,160 @@
+// Service Worker：离线缓存页面、表情图片和语言文件 | Service worker: caches the app shell, reaction images and locale files for offline use
+
+// 缓存版本，增删下方的预缓存文件时更新，旧缓存会在激活时清理 | Cache version; bump it when files are added to or removed from the precache list, old caches are removed on activate
+// 页面代码总是优先从网络获取，修改文件内容不需要更新版本 | Page code is always fetched network-first, so changing a file's content needs no bump
+const CACHE_VERSION = 'v5';
+const SHELL_CACHE = `tang-love-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `tang-love-runtime-${CACHE_VERSION}`;
+
+// 预缓存的页面框架和全部表情图片 | Precached app shell and every reaction image
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'languages.json',
+    'scenarios.json',
+    'scenarios/classic.json',
+    'scenarios/quick.json',
+    'themes.json',
+    'themes/classic.json',
+    'themes/valentine.json',
+    'themes/anniversary.json',
+    'assets/images/favicon.ico',
+    'assets/images/icon-192.png',
+    'assets/images/icon-512.png',
+    'assets/images/heart.webp',
+    'assets/images/shocked.webp',
+    'assets/images/think.webp',
+    'assets/images/angry.webp',
+    'assets/images/crying.webp',
+    'assets/images/hug.webp',
+    'assets/images/sidehead.webp'
+];
+
+// 页面代码和配置优先从网络获取，发布后页面、脚本和样式不会新旧混用 | Page code and config are fetched network-first so a deploy never mixes an old script with a new page
+const NETWORK_FIRST_EXTENSIONS = ['.js', '.css', '.json', '.webmanifest'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' }))))
+            // 新版本安装完成后立即接管，不必等所有标签页关闭
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(
+                keys
+                    .filter((key) => key.startsWith('tang-love-') && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                    .map((key) => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 页面通知缓存用户选择的语言文件 | The page asks us to cache the locale file the user picked
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type === 'cacheLocale' && typeof data.url === 'string') {
+        const url = new URL(data.url, self.registration.scope);
+        if (url.origin !== self.location.origin) return;
+        event.waitUntil(
+            caches.open(RUNTIME_CACHE).then((cache) => cache.match(url).then((cached) => cached || cache.add(url)))
+        );
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+
+    // 页面导航：优先网络，离线时返回缓存的首页 | Navigations: network first, cached index.html when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then((response) => {
+                    // 更新缓存的首页，离线时与缓存的脚本保持同一版本 | Refresh the cached index.html so offline it matches the cached script
+                    if (response.ok && (path === '' || path === 'index.html')) {
+                        event.waitUntil(putInCache(new Request('index.html'), response.clone()));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match('index.html', { ignoreSearch: true }))
+        );
+        return;
+    }
+
+    // 带版本哈希的语言文件内容不会变，可以一直使用缓存 | Locale files with a version hash never change, so the cache is always valid
+    if (path.startsWith('i18n/') && url.searchParams.has('v')) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+    if (NETWORK_FIRST_EXTENSIONS.some((extension) => path.endsWith(extension))) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+    // 图片等静态资源：先用缓存，同时在后台更新 | Images and other assets: serve the cache and refresh it in the background
+    event.respondWith(staleWhileRevalidate(event, request));
+});
+
+// 优先缓存，未命中时从网络获取并写入运行时缓存 | Cache first; on a miss fetch from the network and store in the runtime cache
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        putInCache(request, response.clone());
+    }
+    return response;
+}
+
+// 有缓存时立即返回，同时从网络更新缓存，下次访问即为新版本 | Return the cached copy right away while refreshing it from the network for the next visit
+async function staleWhileRevalidate(event, request) {
+    const cached = await caches.match(request);
+    const update = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await putInCache(request, response.clone());
+        }
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// 优先网络，失败时使用缓存 | Network first, falling back to the cache
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            putInCache(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// 预缓存过的文件更新在原缓存中，否则旧副本会先被 caches.match 找到 | Precached files are updated in place, otherwise caches.match would still find the old copy first
+async function putInCache(request, response) {
+    const shell = await caches.open(SHELL_CACHE);
+    const cache = (await shell.match(request)) ? shell : await caches.open(RUNTIME_CACHE);
+    await cache.put(request, response);
+}
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// 检查 i18n/*.json 与 languages.json 的一致性，以 en.json 为参照 | Check i18n/*.json and languages.json for consistency, using en.json as the reference
+// 用法 | Usage: node tools/check-i18n.js
+// 输出 JSON 报告，存在错误时以非零状态码退出 | Prints a JSON report and exits non-zero when there are errors
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./update-locale-hashes');
+
+const rootDir = path.resolve(__dirname, '..');
+const i18nDir = path.join(rootDir, 'i18n');
+const referenceLang = 'en';
+
+// 必须包含的占位符 | Placeholders that must be present
+const requiredPlaceholders = {
+    questionTemplate: ['username'],
+    loveMessage: ['username']
+};
+
+// 可以使用但不强制的占位符 | Placeholders that may be used but are not required
+const optionalPlaceholders = {
+    questionTemplate: ['sender'],
+    loveMessage: ['sender']
+};
+
+const report = {
+    ok: true,
+    reference: `${referenceLang}.json`,
+    errors: [],
+    warnings: [],
+    summary: {}
+};
+
+function addIssue(level, locale, key, type, message) {
+    report[level === 'error' ? 'errors' : 'warnings'].push({ locale, key, type, message });
+}
+
+// 把嵌套对象展开为点分路径，数组作为整体保留 | Flatten nested objects into dotted paths, keeping arrays whole
+function flatten(value, prefix = '', result = {}) {
+    for (const [key, child] of Object.entries(value)) {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        if (child && typeof child === 'object' && !Array.isArray(child)) {
+            flatten(child, dotted, result);
+        } else {
+            result[dotted] = child;
+        }
+    }
+    return result;
+}
+
+// 提取 ICU 消息中的参数名，语法错误时抛出 | Extract argument names from an ICU message, throwing on syntax errors
+function extractArguments(message) {
+    const names = new Set();
+    let pos = 0;
+
+    const readWord = () => {
+        while (/\s/.test(message[pos] || '')) pos++;
+        const match = /^[^\s,{}]+/.exec(message.slice(pos));
+        if (!match) throw new SyntaxError(`expected a name at ${pos}`);
+        pos += match[0].length;
+        return match[0];
+    };
+    const expect = (char) => {
+        while (/\s/.test(message[pos] || '')) pos++;
+        if (message[pos] !== char) throw new SyntaxError(`expected "${char}" at ${pos}`);
+        pos++;
+    };
+    const parseText = (nested) => {
+        while (pos < message.length) {
+            if (message[pos] === '{') {
+                pos++;
+                parseArgument();
+            } else if (message[pos] === '}') {
+                if (nested) return;
+                throw new SyntaxError(`unexpected "}" at ${pos}`);
+            } else {
+                pos++;
+            }
+        }
+        if (nested) throw new SyntaxError('unterminated option');
+    };
+    const parseArgument = () => {
+        names.add(readWord());
+        while (/\s/.test(message[pos] || '')) pos++;
+        if (message[pos] === '}') {
+            pos++;
+            return;
+        }
+        expect(',');
+        const type = readWord();
+        if (type !== 'plural' && type !== 'select') throw new SyntaxError(`unsupported argument type "${type}"`);
+        expect(',');
+        const options = new Set();
+        while (/\s/.test(message[pos] || '')) pos++;
+        while (message[pos] !== '}') {
+            if (pos >= message.length) throw new SyntaxError('unterminated argument');
+            const selector = readWord();
+            if (!selector.startsWith('offset:')) {
+                options.add(selector);
+                expect('{');
+                parseText(true);
+                expect('}');
+            }
+            while (/\s/.test(message[pos] || '')) pos++;
+        }
+        pos++;
+        if (!options.has('other')) throw new SyntaxError(`${type} needs an "other" option`);
+    };
+
+    parseText(false);
+    return names;
+}
+
+// 比较单个字符串的占位符 | Compare the placeholders of a single string
+function checkMessage(locale, key, message, referenceMessage) {
+    let names;
+    try {
+        names = extractArguments(message);
+    } catch (error) {
+        addIssue('error', locale, key, 'syntax', `Invalid message syntax: ${error.message}`);
+        return;
+    }
+    // 参照文本的语法错误已在 main() 中报告，这里按没有占位符处理 | Syntax errors in the reference are reported by main(); treat them as having no placeholders here
+    let expected = new Set();
+    if (typeof referenceMessage === 'string') {
+        try {
+            expected = extractArguments(referenceMessage);
+        } catch (error) {
+            expected = new Set();
+        }
+    }
+
+    const optional = new Set(optionalPlaceholders[key] || []);
+    for (const name of expected) {
+        if (!names.has(name) && !optional.has(name)) {
+            addIssue('error', locale, key, 'missingPlaceholder', `Missing placeholder {${name}}`);
+        }
+    }
+    for (const name of names) {
+        if (!expected.has(name) && !optional.has(name)) {
+            addIssue('error', locale, key, 'unknownPlaceholder', `Unknown placeholder {${name}}, expected one of: ${[...expected, ...optional].join(', ') || 'none'}`);
+        }
+    }
+    // 参照文件中已有的占位符在上面已经报告过 | Placeholders present in the reference were already reported above
+    for (const name of requiredPlaceholders[key] || []) {
+        if (!names.has(name) && !expected.has(name)) {
+            addIssue('error', locale, key, 'missingPlaceholder', `Missing required placeholder {${name}}`);
+        }
+    }
+}
+
+function checkLocale(locale, translations, reference) {
+    const flat = flatten(translations);
+
+    for (const [key, referenceValue] of Object.entries(reference)) {
+        if (!(key in flat)) {
+            addIssue('error', locale, key, 'missingKey', 'Key is missing');
+            continue;
+        }
+        const value = flat[key];
+        if (Array.isArray(referenceValue)) {
+            if (!Array.isArray(value)) {
+                addIssue('error', locale, key, 'wrongType', 'Expected an array');
+                continue;
+            }
+            if (value.length !== referenceValue.length) {
+                addIssue('error', locale, key, 'wrongLength', `Expected ${referenceValue.length} entries, found ${value.length}`);
+            }
+            value.forEach((item, index) => {
+                if (typeof item !== 'string') {
+                    addIssue('error', locale, `${key}.${index}`, 'wrongType', 'Expected a string');
+                } else {
+                    checkMessage(locale, `${key}.${index}`, item, referenceValue[index]);
+                }
+            });
+        } else if (typeof value !== 'string') {
+            addIssue('error', locale, key, 'wrongType', 'Expected a string');
+        } else {
+            if (!value.trim()) {
+                addIssue('warning', locale, key, 'empty', 'Translation is empty');
+            }
+            checkMessage(locale, key, value, referenceValue);
+        }
+    }
+
+    for (const key of Object.keys(flat)) {
+        if (!(key in reference)) {
+            addIssue('warning', locale, key, 'extraKey', `Key does not exist in ${referenceLang}.json`);
+        }
+    }
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+function main() {
+    const languages = readJson(path.join(rootDir, 'languages.json'));
+    const localeFiles = fs.readdirSync(i18nDir).filter((file) => file.endsWith('.json'));
+    const reference = flatten(readJson(path.join(i18nDir, `${referenceLang}.json`)));
+
+    // 参照文件自身也需要通过语法检查 | The reference itself must also pass the syntax checks
+    for (const [key, value] of Object.entries(reference)) {
+        if (typeof value === 'string') {
+            try {
+                extractArguments(value);
+            } catch (error) {
+                addIssue('error', referenceLang, key, 'syntax', `Invalid message syntax: ${error.message}`);
+            }
+        }
+    }
+
+    const listedFiles = new Set();
+    for (const [code, entry] of Object.entries(languages)) {
+        const filePath = path.join(i18nDir, entry.file || '');
+        listedFiles.add(entry.file);
+        if (!entry.file || !fs.existsSync(filePath)) {
+            addIssue('error', code, 'languages.json', 'missingFile', `File i18n/${entry.file} does not exist`);
+            continue;
+        }
+        if (!entry.label) {
+            addIssue('warning', code, 'languages.json', 'missingLabel', 'Entry has no label');
+        }
+
+        const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+        if (entry.hash !== hashContent(text)) {
+            addIssue('error', code, 'languages.json', 'staleHash', 'Hash is out of date, run node tools/update-locale-hashes.js');
+        }
+
+        let translations;
+        try {
+            translations = JSON.parse(text);
+        } catch (error) {
+            addIssue('error', code, entry.file, 'invalidJson', error.message);
+            continue;
+        }
+        if (code !== referenceLang) {
+            checkLocale(code, translations, reference);
+        }
+    }
+
+    for (const file of localeFiles) {
+        if (!listedFiles.has(file)) {
+            addIssue('warning', file.replace(/\.json$/, ''), 'languages.json', 'unlistedFile', `i18n/${file} is not listed in languages.json`);
+        }
+    }
+
+    report.ok = report.errors.length === 0;
+    report.summary = {
+        locales: Object.keys(languages).length,
+        keys: Object.keys(reference).length,
+        errors: report.errors.length,
+        warnings: report.warnings.length
+    };
+    console.log(JSON.stringify(report, null, 2));
+    process.exitCode = report.ok ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// 重新计算 i18n/*.json 的内容哈希并写入 languages.json | Recompute the content hashes of i18n/*.json and write them into languages.json
+// 用法 | Usage: node tools/update-locale-hashes.js
+// 修改任何语言文件后都需要运行，浏览器根据哈希判断缓存是否过期 | Run after editing any locale file; the browser uses the hash to detect stale caches
+
+const fs = require('fs');
+const path = require('path');
+
+const rootDir = path.resolve(__dirname, '..');
+const languagesPath = path.join(rootDir, 'languages.json');
+
+// 与 script.js 中 i18n.hashContent 相同的 FNV-1a 算法 | Same FNV-1a algorithm as i18n.hashContent in script.js
+function hashContent(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// 读取语言文件，去掉 BOM 以与浏览器 response.text() 的结果一致 | Read a locale file without its BOM, matching response.text() in the browser
+function readLocaleFile(file) {
+    return fs.readFileSync(path.join(rootDir, 'i18n', file), 'utf8').replace(/^\uFEFF/, '');
+}
+
+function main() {
+    let source = fs.readFileSync(languagesPath, 'utf8');
+    const languages = JSON.parse(source);
+
+    for (const [code, entry] of Object.entries(languages)) {
+        const hash = hashContent(readLocaleFile(entry.file));
+        // 逐条替换，保留 languages.json 的手写格式 | Patch entries in place to keep the hand-written formatting
+        const fileLine = new RegExp(`("file":\\s*"${entry.file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}",)(\\s*)(?:"hash":\\s*"[0-9a-f]*",\\s*)?`);
+        if (!fileLine.test(source)) {
+            throw new Error(`Cannot find the "file" line for ${code}`);
+        }
+        source = source.replace(fileLine, `$1$2"hash": "${hash}",$2`);
+        console.log(`${code}: ${hash}`);
+    }
+
+    JSON.parse(source);
+    fs.writeFileSync(languagesPath, source);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { hashContent };